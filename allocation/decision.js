@@ -0,0 +1,108 @@
+const crypto = require("crypto");
+const { canonicalStringify } = require("../records/hashing");
+const { isEnabled, encryptFields, decryptFields } = require("../records/encryption");
+const { ENCRYPTED_FIELDS } = require("../models/fields");
+const { rankCandidates } = require("./matching");
+const { DEFAULT_PRIORITY_RULES } = require("./priority");
+
+// An allocation decision is the matching inputs plus the ranked result. Its
+// hash is anchored on the ledger so the stored decision can be re-checked
+// later. Inputs hold only what the scoring used, never names.
+function hashDecision({ inputs, result }) {
+  return crypto.createHash("sha256")
+    .update(canonicalStringify({ inputs, result }))
+    .digest("hex");
+}
+
+function buildDecision({ organ, candidates, rules = DEFAULT_PRIORITY_RULES, decidedAt = new Date() }) {
+  const inputs = {
+    organ: {
+      organId: String(organ._id),
+      type: organ.type,
+      bloodType: organ.bloodType
+    },
+    candidates: candidates.map(c => ({
+      patientId: String(c.patientId),
+      bloodType: c.bloodType,
+      organNeeded: c.organNeeded,
+      urgency: c.urgency,
+      listedAt: c.listedAt ? new Date(c.listedAt).toISOString() : null,
+      age: c.age
+    })),
+    rules,
+    decidedAt: decidedAt.toISOString()
+  };
+  const result = rankCandidates(inputs.organ, inputs.candidates, {
+    rules,
+    now: decidedAt.getTime()
+  });
+
+  return { inputs, result, decisionHash: hashDecision({ inputs, result }) };
+}
+
+// The inputs copy encrypted organ and patient fields. Those are stored apart
+// from the rest (see models/allocation.js), keyed "organ" and
+// "patient:<patientId>", so that one patient's can be shredded on erasure.
+function sensitiveKey(patientId) {
+  return `patient:${patientId}`;
+}
+
+function pickOut(obj, fields) {
+  const open = { ...obj };
+  const picked = {};
+  for (const field of fields) {
+    if (open[field] === undefined) continue;
+    picked[field] = open[field];
+    delete open[field];
+  }
+  return { open, picked };
+}
+
+// { inputs, sensitive }: the inputs without the encrypted fields, and those
+// fields by key
+function splitInputs(inputs) {
+  const sensitive = {};
+  const organ = pickOut(inputs.organ, ENCRYPTED_FIELDS.organ);
+  sensitive.organ = organ.picked;
+  const candidates = inputs.candidates.map(c => {
+    const { open, picked } = pickOut(c, ENCRYPTED_FIELDS.patient);
+    sensitive[sensitiveKey(c.patientId)] = picked;
+    return open;
+  });
+  return { inputs: { ...inputs, organ: organ.open, candidates }, sensitive };
+}
+
+function mergeInputs(inputs, sensitive = {}) {
+  return {
+    ...inputs,
+    organ: { ...inputs.organ, ...sensitive.organ },
+    candidates: inputs.candidates.map(c => ({ ...c, ...sensitive[sensitiveKey(c.patientId)] }))
+  };
+}
+
+// Fields to store on an Allocation for these inputs: the sensitive values
+// are sealed when encryption is enabled, like version snapshots
+function storedInputs(inputs, allocationId) {
+  const { inputs: open, sensitive } = splitInputs(inputs);
+  return isEnabled()
+    ? { inputs: open, encrypted: encryptFields(sensitive, allocationId) }
+    : { inputs: open, sensitiveInputs: sensitive };
+}
+
+// Full inputs of a stored (lean) allocation, less those of erased patients
+function loadInputs(allocation) {
+  const sensitive = allocation.encrypted
+    ? decryptFields(allocation.encrypted, allocation._id)
+    : allocation.sensitiveInputs;
+  return mergeInputs(allocation.inputs, sensitive);
+}
+
+module.exports = {
+  buildDecision,
+  hashDecision,
+  sensitiveKey,
+  splitInputs,
+  mergeInputs,
+  storedInputs,
+  loadInputs
+};
@@ -0,0 +1,90 @@
+const {
+  DEFAULT_PRIORITY_RULES,
+  priorityScore,
+  totalPoints,
+  compareScored
+} = require("./priority");
+
+// Organ-patient matching. Candidates must need the organ's type and be ABO
+// compatible with it; compatible candidates are then ranked by their
+// waiting-list priority plus an ABO bonus, and the points breakdown is
+// returned so every ranking can be explained.
+
+// Donor ABO group -> recipient ABO groups that can receive it
+const ABO_COMPATIBILITY = {
+  O: ["O", "A", "B", "AB"],
+  A: ["A", "AB"],
+  B: ["B", "AB"],
+  AB: ["AB"]
+};
+
+// "AB+" -> "AB"
+function aboGroup(bloodType) {
+  const match = /^(AB|A|B|O)/i.exec(String(bloodType || "").trim());
+  return match ? match[1].toUpperCase() : null;
+}
+
+function isAboCompatible(donorBloodType, recipientBloodType) {
+  const donor = aboGroup(donorBloodType);
+  const recipient = aboGroup(recipientBloodType);
+  return Boolean(donor && recipient && ABO_COMPATIBILITY[donor].includes(recipient));
+}
+
+function exclusionReason(organ, candidate) {
+  if (!candidate.organNeeded || candidate.organNeeded.toLowerCase() !== String(organ.type).toLowerCase()) {
+    return "Organ type not needed";
+  }
+  if (!isAboCompatible(organ.bloodType, candidate.bloodType)) {
+    return "ABO incompatible";
+  }
+  return null;
+}
+
+function scoreCandidate(organ, candidate, rules, now) {
+  const identical = aboGroup(organ.bloodType) === aboGroup(candidate.bloodType);
+  const priority = priorityScore(candidate, rules, now);
+
+  const breakdown = {
+    abo: {
+      points: identical ? rules.identicalAbo : 0,
+      detail: identical ? "Identical ABO group" : "Compatible ABO group"
+    },
+    ...priority.breakdown
+  };
+
+  return { score: totalPoints(breakdown), breakdown };
+}
+
+// candidates: [{ patientId, bloodType, organNeeded, urgency, listedAt, age }]
+function rankCandidates(organ, candidates, { rules = DEFAULT_PRIORITY_RULES, now = Date.now() } = {}) {
+  const ranked = [];
+  const excluded = [];
+
+  for (const candidate of candidates) {
+    const reason = exclusionReason(organ, candidate);
+    if (reason) {
+      excluded.push({ patientId: candidate.patientId, reason });
+      continue;
+    }
+    ranked.push({ patientId: candidate.patientId, listedAt: candidate.listedAt, ...scoreCandidate(organ, candidate, rules, now) });
+  }
+
+  ranked.sort((a, b) => compareScored(a, b, now));
+
+  return {
+    ranked: ranked.map((entry, i) => ({
+      rank: i + 1,
+      patientId: entry.patientId,
+      score: entry.score,
+      breakdown: entry.breakdown
+    })),
+    excluded
+  };
+}
+
+module.exports = {
+  ABO_COMPATIBILITY,
+  aboGroup,
+  isAboCompatible,
+  rankCandidates
+};
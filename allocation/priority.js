@@ -0,0 +1,94 @@
+const fs = require("fs");
+
+// Waiting-list priority scoring. Rules can be overridden per organ type with
+// a JSON file named by PRIORITY_RULES_FILE, shaped like
+//   { "default": { ...rules }, "kidney": { ...rules } }
+// where any rule left out falls back to DEFAULT_PRIORITY_RULES.
+const DEFAULT_PRIORITY_RULES = {
+  urgencyPoints: {
+    critical: 40,
+    high: 25,
+    medium: 10,
+    low: 0
+  },
+  waitingDay: 0.05, // points per day on the list
+  maxWaitingPoints: 30,
+  pediatric: 15, // bonus for recipients under pediatricAge
+  pediatricAge: 18,
+  identicalAbo: 10 // matching only: same ABO group rather than merely compatible
+};
+
+const URGENCY_LEVELS = Object.keys(DEFAULT_PRIORITY_RULES.urgencyPoints);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function mergeRules(base, overrides = {}) {
+  return {
+    ...base,
+    ...overrides,
+    urgencyPoints: { ...base.urgencyPoints, ...(overrides.urgencyPoints || {}) }
+  };
+}
+
+function loadPriorityRules(env = process.env) {
+  if (!env.PRIORITY_RULES_FILE) return { default: DEFAULT_PRIORITY_RULES };
+
+  const configured = JSON.parse(fs.readFileSync(env.PRIORITY_RULES_FILE, "utf8"));
+  const rules = { default: mergeRules(DEFAULT_PRIORITY_RULES, configured.default) };
+  for (const [organType, overrides] of Object.entries(configured)) {
+    if (organType !== "default") rules[organType.toLowerCase()] = mergeRules(rules.default, overrides);
+  }
+  return rules;
+}
+
+function rulesFor(rules, organType) {
+  return rules[String(organType).toLowerCase()] || rules.default;
+}
+
+// candidate: { urgency, listedAt, age }
+function priorityScore(candidate, rules, now = Date.now()) {
+  const urgency = rules.urgencyPoints[candidate.urgency] || 0;
+  const waitingDays = candidate.listedAt
+    ? Math.max(0, Math.floor((now - new Date(candidate.listedAt).getTime()) / DAY_MS))
+    : 0;
+  const pediatric = typeof candidate.age === "number" && candidate.age < rules.pediatricAge;
+
+  const breakdown = {
+    urgency: {
+      points: urgency,
+      detail: `Urgency ${candidate.urgency || "unknown"}`
+    },
+    waitingTime: {
+      points: Math.min(waitingDays * rules.waitingDay, rules.maxWaitingPoints),
+      detail: `${waitingDays} days waiting`
+    },
+    age: {
+      points: pediatric ? rules.pediatric : 0,
+      detail: pediatric ? `Pediatric recipient (${candidate.age})` : `Adult recipient (${candidate.age})`
+    }
+  };
+
+  return { score: totalPoints(breakdown), breakdown };
+}
+
+function totalPoints(breakdown) {
+  const score = Object.values(breakdown).reduce((sum, part) => sum + part.points, 0);
+  return Math.round(score * 100) / 100;
+}
+
+// Highest score first; ties go to whoever was listed first, then by ID so
+// the order is deterministic for the same inputs
+function compareScored(a, b, now = Date.now()) {
+  return b.score - a.score ||
+    new Date(a.listedAt || now) - new Date(b.listedAt || now) ||
+    String(a.patientId).localeCompare(String(b.patientId));
+}
+
+module.exports = {
+  DEFAULT_PRIORITY_RULES,
+  URGENCY_LEVELS,
+  loadPriorityRules,
+  rulesFor,
+  priorityScore,
+  totalPoints,
+  compareScored
+};
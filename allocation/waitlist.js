@@ -0,0 +1,44 @@
+const { priorityScore, compareScored } = require("./priority");
+
+// Only active entries are offered organs; on-hold patients keep their
+// listing date but are skipped until reactivated.
+const WAITLIST_STATUSES = ["active", "on-hold", "delisted"];
+
+// Join active entries for one organ type to their patients as matching
+// candidates: [{ patientId, entryId, bloodType, organNeeded, urgency, listedAt, age }]
+function toCandidates(entries, patientsById) {
+  const candidates = [];
+  for (const entry of entries) {
+    const patient = patientsById.get(String(entry.patientId));
+    if (!patient || patient.active === false) continue;
+    candidates.push({
+      patientId: String(entry.patientId),
+      entryId: String(entry._id),
+      bloodType: patient.bloodType,
+      organNeeded: entry.organType,
+      urgency: entry.urgency,
+      listedAt: entry.listedAt,
+      age: patient.age
+    });
+  }
+  return candidates;
+}
+
+// The ordered queue for one organ type
+function buildQueue(candidates, rules, now = Date.now()) {
+  return candidates
+    .map(c => ({ ...c, ...priorityScore(c, rules, now) }))
+    .sort((a, b) => compareScored(a, b, now))
+    .map((c, i) => ({
+      position: i + 1,
+      entryId: c.entryId,
+      patientId: c.patientId,
+      bloodType: c.bloodType,
+      urgency: c.urgency,
+      listedAt: c.listedAt,
+      score: c.score,
+      breakdown: c.breakdown
+    }));
+}
+
+module.exports = { WAITLIST_STATUSES, toCandidates, buildQueue };
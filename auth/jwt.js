@@ -0,0 +1,58 @@
+const crypto = require("crypto");
+
+// Minimal HS256 JSON Web Tokens (RFC 7519), enough for the short-lived
+// tokens issued by POST /auth/token. Only HS256 is accepted, so a token
+// cannot downgrade itself to "none" or switch algorithms.
+const HEADER = { alg: "HS256", typ: "JWT" };
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
+
+function hmac(secret, data) {
+  return crypto.createHmac("sha256", secret).update(data).digest();
+}
+
+function signJwt(claims, secret, { expiresInSec = 3600, now = Date.now() } = {}) {
+  const iat = Math.floor(now / 1000);
+  const payload = { ...claims, iat, exp: iat + expiresInSec };
+  const unsigned = `${encodeSegment(HEADER)}.${encodeSegment(payload)}`;
+  return `${unsigned}.${hmac(secret, unsigned).toString("base64url")}`;
+}
+
+// Returns the claims, or throws if the token is malformed, badly signed or
+// outside its validity period
+function verifyJwt(token, secret, { now = Date.now(), clockToleranceSec = 30 } = {}) {
+  const parts = String(token).split(".");
+  if (parts.length !== 3) throw new Error("Malformed token");
+
+  let header, claims;
+  try {
+    header = decodeSegment(parts[0]);
+    claims = decodeSegment(parts[1]);
+  } catch (err) {
+    throw new Error("Malformed token");
+  }
+  if (header.alg !== HEADER.alg) throw new Error(`Unsupported token algorithm: ${header.alg}`);
+
+  const expected = hmac(secret, `${parts[0]}.${parts[1]}`);
+  const signature = Buffer.from(parts[2], "base64url");
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    throw new Error("Invalid token signature");
+  }
+
+  const nowSec = Math.floor(now / 1000);
+  if (typeof claims.exp === "number" && nowSec > claims.exp + clockToleranceSec) {
+    throw new Error("Token expired");
+  }
+  if (typeof claims.nbf === "number" && nowSec < claims.nbf - clockToleranceSec) {
+    throw new Error("Token not yet valid");
+  }
+  return claims;
+}
+
+module.exports = { signJwt, verifyJwt };
@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const { signJwt, verifyJwt } = require("./jwt");
+
+const SECRET = "test-secret";
+const NOW = Date.UTC(2025, 0, 1);
+const CLAIMS = { sub: "tc-1", role: "transplant-center" };
+
+function segment(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+test("round-trips the claims with iat and exp", () => {
+  const token = signJwt(CLAIMS, SECRET, { expiresInSec: 60, now: NOW });
+  assert.deepStrictEqual(verifyJwt(token, SECRET, { now: NOW }), {
+    ...CLAIMS,
+    iat: NOW / 1000,
+    exp: NOW / 1000 + 60
+  });
+});
+
+test("rejects another secret or an edited payload", () => {
+  const token = signJwt(CLAIMS, SECRET, { now: NOW });
+  assert.throws(() => verifyJwt(token, "other-secret", { now: NOW }), /Invalid token signature/);
+
+  const [header, , signature] = token.split(".");
+  const forged = `${header}.${segment({ ...CLAIMS, role: "admin", exp: NOW / 1000 + 60 })}.${signature}`;
+  assert.throws(() => verifyJwt(forged, SECRET, { now: NOW }), /Invalid token signature/);
+});
+
+test("rejects other algorithms, including none", () => {
+  const payload = segment({ ...CLAIMS, exp: NOW / 1000 + 60 });
+  assert.throws(() => verifyJwt(`${segment({ alg: "none", typ: "JWT" })}.${payload}.`, SECRET, { now: NOW }),
+    /Unsupported token algorithm: none/);
+
+  const unsigned = `${segment({ alg: "HS512", typ: "JWT" })}.${payload}`;
+  const mac = crypto.createHmac("sha512", SECRET).update(unsigned).digest("base64url");
+  assert.throws(() => verifyJwt(`${unsigned}.${mac}`, SECRET, { now: NOW }), /Unsupported token algorithm/);
+});
+
+test("checks expiry and not-before within the clock tolerance", () => {
+  const token = signJwt(CLAIMS, SECRET, { expiresInSec: 60, now: NOW });
+  assert.ok(verifyJwt(token, SECRET, { now: NOW + 89 * 1000 }));
+  assert.throws(() => verifyJwt(token, SECRET, { now: NOW + 91 * 1000 }), /Token expired/);
+  assert.throws(() => verifyJwt(token, SECRET, { now: NOW + 61 * 1000, clockToleranceSec: 0 }), /Token expired/);
+
+  const notYet = signJwt({ ...CLAIMS, nbf: NOW / 1000 + 120 }, SECRET, { now: NOW });
+  assert.throws(() => verifyJwt(notYet, SECRET, { now: NOW }), /Token not yet valid/);
+  assert.ok(verifyJwt(notYet, SECRET, { now: NOW + 100 * 1000 }));
+});
+
+test("rejects malformed tokens", () => {
+  for (const token of ["", "a.b", "a.b.c.d", "!!.??.sig", undefined]) {
+    assert.throws(() => verifyJwt(token, SECRET, { now: NOW }), /Malformed token/);
+  }
+});
@@ -0,0 +1,69 @@
+const crypto = require("crypto");
+const fs = require("fs");
+
+// Who may call the API. A principal is { id, role, institution } and comes
+// either from an API key or from a JWT signed with JWT_SECRET.
+//
+// API keys are configured in a JSON file named by API_KEYS_FILE, shaped like
+//   [{ "id": "opo-west-coordinator", "role": "procurement-coordinator",
+//      "institution": "opo-west", "keyHash": "<sha256 hex of the key>" }]
+// so the file never holds a usable key. See hashApiKey. institution is the
+// institutionId registered with POST /institutions, whose key signs the
+// principal's ledger messages.
+const ROLES = ["transplant-center", "procurement-coordinator", "auditor", "admin"];
+
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+function toPrincipal({ id, role, institution }) {
+  if (!id || !ROLES.includes(role)) {
+    throw new Error(`Invalid principal ${JSON.stringify(id)} with role ${JSON.stringify(role)}`);
+  }
+  return { id: String(id), role, institution: institution ? String(institution) : null };
+}
+
+// keyHash -> principal
+function loadApiKeys(env = process.env) {
+  const keys = new Map();
+  if (!env.API_KEYS_FILE) return keys;
+
+  for (const entry of JSON.parse(fs.readFileSync(env.API_KEYS_FILE, "utf8"))) {
+    if (!/^[0-9a-f]{64}$/.test(entry.keyHash || "")) {
+      throw new Error(`API key for ${entry.id} needs a sha256 keyHash`);
+    }
+    keys.set(entry.keyHash, toPrincipal(entry));
+  }
+  return keys;
+}
+
+// Roles that may read a record type's sensitive (encrypted) fields, besides
+// admins. Types not listed here have no sensitive fields.
+const FIELD_READERS = {
+  patient: ["transplant-center"],
+  organ: ["procurement-coordinator"]
+};
+
+function canReadFields(principal, recordType) {
+  if (!principal) return false;
+  if (principal.role === "admin") return true;
+  const readers = FIELD_READERS[recordType];
+  return !readers || readers.includes(principal.role);
+}
+
+// What is recorded on records and ledger messages about who made them
+function principalRef(principal) {
+  return principal
+    ? { id: principal.id, role: principal.role, institution: principal.institution || null }
+    : null;
+}
+
+module.exports = {
+  ROLES,
+  FIELD_READERS,
+  hashApiKey,
+  toPrincipal,
+  loadApiKeys,
+  canReadFields,
+  principalRef
+};
@@ -2,178 +2,111 @@
 require("dotenv").config();
 const express = require("express");
 const crypto = require("crypto");
-const {
-  Client,
-  TopicMessageSubmitTransaction,
-  TopicCreateTransaction,
-  TopicMessageQuery
-} = require("@hashgraph/sdk");
+const { createLedger } = require("./ledger");
+const { encodeMessage, parseMessageContents } = require("./ledger/messages");
+const { hashRecord, pickFields, generateSalt, CURRENT_HASH_SCHEME } = require("./records/hashing");
+const { stripProtectedFields } = require("./records/versions");
+const { Patient, Organ, INPUT_FIELDS, invalidBody, validateInput } = require("./models");
+const { authenticate, requireRole } = require("./middleware/auth");
+const { loadApiKeys, principalRef } = require("./auth/principals");
 
 const app = express();
 app.use(express.json());
-
-// Initialize Hedera client
-const client = Client.forTestnet();
-client.setOperator(process.env.HEDERA_ACCOUNT_ID, process.env.HEDERA_PRIVATE_KEY);
-
-// Topic ID from environment
-const TOPIC_ID = process.env.HEDERA_TOPIC_ID;
-
-function hashData(data) {
-  return crypto.createHash("sha256").update(JSON.stringify(data)).digest("hex");
+app.use(authenticate({ apiKeys: loadApiKeys(), jwtSecret: process.env.JWT_SECRET || null }));
+
+// Initialize ledger backend (Hedera or local, see ledger/index.js)
+const ledger = createLedger();
+
+async function submitToLedger(recordType, recordId, hash, principal) {
+  const message = encodeMessage({
+    recordType,
+    recordId,
+    hashScheme: CURRENT_HASH_SCHEME,
+    hash,
+    issuer: ledger.operatorAccountId,
+    principal: principalRef(principal)
+  });
+  const submitted = await ledger.submit(message);
+  return submitted.transactionId;
 }
 
-async function submitToHedera(message) {
-  const submitTx = new TopicMessageSubmitTransaction()
-    .setTopicId(TOPIC_ID)
-    .setMessage(message);
-
-  const submitResponse = await submitTx.execute(client);
-  return submitResponse.transactionId.toString();
+// Validate a body against the shared schema without storing it (this server
+// has no database). Responds and returns null when the body is invalid.
+async function validatedRecord(recordType, Model, req, res) {
+  const body = stripProtectedFields(req.body);
+  const record = new Model(body);
+  const errors = await validateInput(record, body, INPUT_FIELDS[recordType]);
+  if (errors.length) {
+    res.status(400).json(invalidBody(recordType, errors));
+    return null;
+  }
+  return record;
 }
 
-app.post("/patients", async (req, res) => {
+app.post("/patients", requireRole("transplant-center"), async (req, res) => {
   try {
-    const patient = req.body;
-    const hash = hashData(patient);
-    const message = `PATIENT|${hash}`;
-    const txId = await submitToHedera(message);
-    res.status(201).json({ transactionId: txId, hash });
+    const patient = await validatedRecord("patient", Patient, req, res);
+    if (!patient) return;
+
+    const id = crypto.randomUUID();
+    const salt = generateSalt();
+    const hash = hashRecord("patient", { ...patient.toObject(), salt }, CURRENT_HASH_SCHEME);
+    const txId = await submitToLedger("patient", id, hash, req.principal);
+    // Nothing is stored here, so the caller must keep the ID, salt and the
+    // normalized fields to verify later
+    res.status(201).json({
+      transactionId: txId,
+      id,
+      hash,
+      salt,
+      hashScheme: CURRENT_HASH_SCHEME,
+      fields: pickFields("patient", patient, CURRENT_HASH_SCHEME)
+    });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "Failed to log patient to Hedera" });
   }
 });
 
-app.post("/organs", async (req, res) => {
+app.post("/organs", requireRole("procurement-coordinator"), async (req, res) => {
   try {
-    const organ = req.body;
-    const hash = hashData(organ);
-    const message = `ORGAN|${hash}`;
-    const txId = await submitToHedera(message);
-    res.status(201).json({ transactionId: txId, hash });
+    const organ = await validatedRecord("organ", Organ, req, res);
+    if (!organ) return;
+
+    const id = crypto.randomUUID();
+    const salt = generateSalt();
+    const hash = hashRecord("organ", { ...organ.toObject(), salt }, CURRENT_HASH_SCHEME);
+    const txId = await submitToLedger("organ", id, hash, req.principal);
+    // Nothing is stored here, so the caller must keep the ID, salt and the
+    // normalized fields to verify later
+    res.status(201).json({
+      transactionId: txId,
+      id,
+      hash,
+      salt,
+      hashScheme: CURRENT_HASH_SCHEME,
+      fields: pickFields("organ", organ, CURRENT_HASH_SCHEME)
+    });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "Failed to log organ to Hedera" });
   }
 });
 
-// Optional: Create new topic if needed
-app.get("/create-topic", async (req, res) => {
-  try {
-    const tx = await new TopicCreateTransaction().execute(client);
-    const receipt = await tx.getReceipt(client);
-    res.json({ topicId: receipt.topicId.toString() });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Failed to create topic" });
-  }
-});
-
 // Get logs from the topic
 function parseTopicMessage(msg) {
-  const decodedMessage = Buffer.from(msg.contents).toString("utf8");
-  const timestampISO = msg.consensusTimestamp.toDate().toISOString();
   return {
-    timestamp: timestampISO,
+    timestamp: msg.timestamp,
     sequenceNumber: msg.sequenceNumber.toString(),
-    message: decodedMessage,
+    message: msg.contents,
+    runningHash: msg.runningHash.substring(0, 16) + '...', // First 16 chars for reference
+    decoded: parseMessageContents(msg.contents),
   };
 }
 
-// Helper function to convert protobuf timestamp to JS Date string
-function protobufTimestampToISOString(consensusTimestamp) {
-  // seconds and nanos come as Long objects or numbers
-  const seconds = typeof consensusTimestamp.seconds.toNumber === "function"
-    ? consensusTimestamp.seconds.toNumber()
-    : consensusTimestamp.seconds;
-  const nanos = typeof consensusTimestamp.nanos.toNumber === "function"
-    ? consensusTimestamp.nanos.toNumber()
-    : consensusTimestamp.nanos;
-
-  // Convert to milliseconds
-  const ms = seconds * 1000 + Math.floor(nanos / 1e6);
-
-  return new Date(ms).toISOString();
-}
-
-function parseTopicMessage(msg) {
-  try {
-    return {
-      timestamp: protobufTimestampToISOString(msg.consensusTimestamp),
-      sequenceNumber: msg.sequenceNumber.toString(),
-      message: msg.contents.toString("utf8"), // Direct conversion since contents is already a Buffer
-      runningHash: msg.runningHash.toString('hex').substring(0, 16) + '...', // First 16 chars for reference
-    };
-  } catch (error) {
-    console.error('Error parsing message:', error);
-    return {
-      timestamp: 'unknown',
-      sequenceNumber: 'unknown',
-      message: 'Error parsing message',
-      error: error.message
-    };
-  }
-}
-
 app.get("/logs", async (req, res) => {
   try {
-    const messages = [];
-    const seenSequenceNumbers = new Set(); // To avoid duplicates
-
-    const query = new TopicMessageQuery()
-      .setTopicId(TOPIC_ID)
-      .setStartTime(0); // or new Date() for recent messages only
-
-    // Subscribe and collect messages for 5 seconds
-    await new Promise((resolve, reject) => {
-      const subscription = query.subscribe(
-        client,
-        (msg) => {
-          // This might not be called, messages seem to come through error callback
-          console.log("Message received in message callback");
-          
-          const sequenceNumber = msg.sequenceNumber.toString();
-          
-          if (seenSequenceNumbers.has(sequenceNumber)) {
-            console.log(`Skipping duplicate message with sequence number: ${sequenceNumber}`);
-            return;
-          }
-          
-          seenSequenceNumbers.add(sequenceNumber);
-          
-          const parsed = parseTopicMessage(msg);
-          console.log("Decoded message:", parsed);
-          messages.push(parsed);
-        },
-        (msgOrError) => {
-          // Check if this is actually a TopicMessage (not an error)
-          if (msgOrError && msgOrError.consensusTimestamp && msgOrError.contents) {
-            console.log("Message received in error callback (treating as message)");
-            
-            const sequenceNumber = msgOrError.sequenceNumber.toString();
-            
-            if (seenSequenceNumbers.has(sequenceNumber)) {
-              console.log(`Skipping duplicate message with sequence number: ${sequenceNumber}`);
-              return;
-            }
-            
-            seenSequenceNumbers.add(sequenceNumber);
-            
-            const parsed = parseTopicMessage(msgOrError);
-            console.log("Decoded message:", parsed);
-            messages.push(parsed);
-          } else {
-            console.error("Actual subscription error:", msgOrError);
-          }
-        }
-      );
-
-      setTimeout(() => {
-        subscription.unsubscribe();
-        resolve();
-      }, 5000);
-    });
+    const messages = (await ledger.replay()).map(parseTopicMessage);
 
     // Sort messages by sequence number
     messages.sort((a, b) => parseInt(a.sequenceNumber) - parseInt(b.sequenceNumber));
@@ -0,0 +1,154 @@
+const AnchorBatch = require("../models/anchorBatch");
+const LedgerMessage = require("../models/ledgerMessage");
+const { encodeMessage, parseMessageContents, isTombstone } = require("./messages");
+const { buildMerkleTree, verifyMerkleProof, MERKLE_TREE_VERSION } = require("./merkle");
+
+// Optional batching of ledger messages. Messages queued within windowMs (or
+// until maxSize is reached) become the leaves of a Merkle tree and only the
+// root is submitted, as a "batch" envelope whose recordId is the batch ID.
+// Messages bound for different topics go into separate batches.
+class AnchorBatcher {
+  constructor({ ledger, windowMs = 5000, maxSize = 256, issuer }) {
+    this.ledger = ledger;
+    this.windowMs = windowMs;
+    this.maxSize = maxSize;
+    this.issuer = issuer;
+    this.pending = [];
+    this.timer = null;
+  }
+
+  // Resolves with { transactionId, sequenceNumber, batchId, root, proof } once the batch
+  // holding this message has been anchored
+  enqueue(message, { recordType, recordId, hash, topicId }) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ message, recordType, recordId: String(recordId), hash, topicId, resolve, reject });
+
+      if (this.pending.length >= this.maxSize) {
+        this.flush();
+      } else if (!this.timer) {
+        this.timer = setTimeout(() => this.flush(), this.windowMs);
+      }
+    });
+  }
+
+  async flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const byTopic = new Map();
+    for (const item of this.pending.splice(0, this.pending.length)) {
+      const topicId = item.topicId || this.ledger.topicId;
+      if (!byTopic.has(topicId)) byTopic.set(topicId, []);
+      byTopic.get(topicId).push(item);
+    }
+    await Promise.all([...byTopic].map(([topicId, items]) => this.anchor(topicId, items)));
+  }
+
+  async anchor(topicId, items) {
+    const tree = buildMerkleTree(items.map(item => item.message));
+    const batch = new AnchorBatch({
+      topicId: String(topicId),
+      root: tree.root,
+      treeVersion: MERKLE_TREE_VERSION,
+      size: items.length,
+      leaves: items.map((item, index) => ({
+        index,
+        recordType: item.recordType,
+        recordId: item.recordId,
+        hash: item.hash,
+        message: item.message,
+        proof: tree.proofs[index]
+      }))
+    });
+
+    try {
+      await batch.save();
+      const submitted = await this.ledger.submit(encodeMessage({
+        recordType: "batch",
+        recordId: batch._id,
+        hashScheme: MERKLE_TREE_VERSION,
+        hash: tree.root,
+        issuer: this.issuer
+      }), topicId);
+
+      batch.set({
+        status: "anchored",
+        transactionId: submitted.transactionId,
+        sequenceNumber: submitted.sequenceNumber,
+        anchoredAt: new Date()
+      });
+      await batch.save();
+
+      items.forEach((item, index) => item.resolve({
+        transactionId: submitted.transactionId,
+        sequenceNumber: submitted.sequenceNumber,
+        batchId: batch._id,
+        root: tree.root,
+        proof: tree.proofs[index]
+      }));
+    } catch (err) {
+      console.error("Failed to anchor batch:", err);
+      batch.set({ status: "failed", error: err.message });
+      await batch.save().catch(saveErr => console.error("Failed to record batch failure:", saveErr));
+      items.forEach(item => item.reject(err));
+    }
+  }
+}
+
+// Look for a record hash inside an anchored batch. The anchor is valid when
+// the leaf message really is about this record and hash, its inclusion path
+// leads to the batch root, and that root is on the ledger. topicId may be a
+// query on several topics, e.g. { $in: [...] }; batches that know their own
+// topic are looked up on it.
+async function findMerkleAnchor({ topicId, recordType, recordId, hash }) {
+  const batches = await AnchorBatch.find({
+    status: "anchored",
+    leaves: { $elemMatch: { recordId: String(recordId), hash } }
+  }).sort({ createdAt: 1 }).lean();
+
+  let found = null;
+  for (const batch of batches) {
+    const leaf = batch.leaves.find(l => l.recordId === String(recordId) && l.hash === hash);
+    const parsed = parseMessageContents(leaf.message);
+    // The root is checked against the message contents, not the decoded
+    // columns of the index, which the running hash does not cover
+    const rootEntries = await LedgerMessage.find({
+      topicId: batch.topicId || topicId,
+      type: "batch",
+      recordId: String(batch._id),
+      hash: batch.root
+    }).lean();
+    const rootEntry = rootEntries.find((entry) => {
+      const root = parseMessageContents(entry.contents);
+      return root && root.type === "batch" && root.recordId === String(batch._id) && root.hash === batch.root;
+    });
+
+    const anchor = {
+      batchId: batch._id,
+      root: batch.root,
+      leafIndex: leaf.index,
+      proof: leaf.proof,
+      message: leaf.message,
+      previousHash: parsed ? parsed.previousHash : null,
+      leafMatches: Boolean(parsed) &&
+        parsed.hash === hash &&
+        parsed.type === recordType &&
+        parsed.recordId === String(recordId) &&
+        !isTombstone(parsed.action),
+      proofValid: verifyMerkleProof(leaf.message, leaf.proof, batch.root),
+      rootAnchored: Boolean(rootEntry),
+      topicId: rootEntry ? rootEntry.topicId : batch.topicId || null,
+      transactionId: rootEntry ? rootEntry.transactionId : batch.transactionId,
+      sequenceNumber: rootEntry ? rootEntry.sequenceNumber : null,
+      consensusTimestamp: rootEntry ? rootEntry.consensusTimestamp : null
+    };
+    anchor.valid = anchor.leafMatches && anchor.proofValid && anchor.rootAnchored;
+
+    if (anchor.valid) return anchor;
+    if (!found) found = anchor;
+  }
+
+  return found;
+}
+
+module.exports = { AnchorBatcher, findMerkleAnchor };
@@ -0,0 +1,123 @@
+const LedgerMessage = require("../models/ledgerMessage");
+
+// Live feed of ledger messages over Server-Sent Events. All clients share
+// the topic subscriptions held by the topic registry (see ledger/topics.js):
+// each message it stores is written to every connected client following
+// that topic whose filters match. A client that reconnects with
+// Last-Event-ID (or ?after=) first gets the messages it missed from the
+// local index, then the live ones, with no gaps or repeats.
+//
+// Events look like
+//   id: <sequence number>
+//   event: message
+//   data: <format(message) as JSON>
+const REPLAY_PAGE_SIZE = 500;
+
+// ?type=patient,organ&institution=... -> { types, institution }
+function parseFeedFilters(query) {
+  const types = query.type
+    ? new Set(String(query.type).toLowerCase().split(",").map(t => t.trim()).filter(Boolean))
+    : null;
+  return { types, institution: query.institution ? String(query.institution) : null };
+}
+
+function matchesFilters(msg, { types, institution }) {
+  if (types && !types.has(msg.type)) return false;
+  return !institution || msg.institution === institution;
+}
+
+class LedgerFeed {
+  // topics is the TopicRegistry; format turns a LedgerMessage document into
+  // the JSON sent to clients
+  constructor({ topics, format, heartbeatMs = 15000 }) {
+    this.topics = topics;
+    this.format = format;
+    this.clients = new Set();
+    this.onMessage = (msg) => {
+      for (const client of this.clients) this.deliver(client, msg);
+    };
+    this.topics.on("message", this.onMessage);
+    this.heartbeat = setInterval(() => {
+      for (const client of this.clients) client.res.write(": keep-alive\n\n");
+    }, heartbeatMs);
+    this.heartbeat.unref();
+  }
+
+  write(client, msg) {
+    client.res.write(`id: ${msg.sequenceNumber}\nevent: message\ndata: ${JSON.stringify(this.format(msg))}\n\n`);
+    client.lastSequence = msg.sequenceNumber;
+  }
+
+  deliver(client, msg) {
+    if (msg.topicId !== client.topicId || !matchesFilters(msg, client.filters)) return;
+    if (client.replaying) {
+      client.buffered.push(msg);
+    } else if (msg.sequenceNumber > client.lastSequence) {
+      this.write(client, msg);
+    }
+  }
+
+  // Stream one registered topic to res until the client goes away. after is
+  // the last sequence number the client has seen, or null for live messages
+  // only.
+  async connect(req, res, { topicId, filters, after = null }) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no" // stop nginx from holding events back
+    });
+    res.write("retry: 5000\n\n");
+
+    const sync = this.topics.sync(topicId);
+    const client = {
+      res,
+      topicId,
+      filters,
+      lastSequence: after === null ? (sync ? sync.lastSequenceNumber : 0) : after,
+      replaying: after !== null,
+      buffered: []
+    };
+    this.clients.add(client);
+    req.on("close", () => this.clients.delete(client));
+
+    if (!client.replaying) return;
+    try {
+      await this.replay(client);
+    } catch (err) {
+      console.error("Failed to replay ledger feed:", err);
+      this.clients.delete(client);
+      res.end();
+      return;
+    }
+
+    // Live messages that arrived during the replay
+    client.replaying = false;
+    for (const msg of client.buffered.splice(0)) {
+      if (msg.sequenceNumber > client.lastSequence) this.write(client, msg);
+    }
+  }
+
+  async replay(client) {
+    const { types, institution } = client.filters;
+    for (;;) {
+      const filter = { topicId: client.topicId, sequenceNumber: { $gt: client.lastSequence } };
+      if (types) filter.type = { $in: [...types] };
+      if (institution) filter.institution = institution;
+
+      const page = await LedgerMessage.find(filter).sort({ sequenceNumber: 1 }).limit(REPLAY_PAGE_SIZE).lean();
+      if (!this.clients.has(client)) return; // went away mid-replay
+      for (const msg of page) this.write(client, msg);
+      if (page.length < REPLAY_PAGE_SIZE) return;
+    }
+  }
+
+  stop() {
+    clearInterval(this.heartbeat);
+    this.topics.off("message", this.onMessage);
+    for (const client of this.clients) client.res.end();
+    this.clients.clear();
+  }
+}
+
+module.exports = { parseFeedFilters, matchesFilters, LedgerFeed };
@@ -0,0 +1,148 @@
+const {
+  Client,
+  TopicMessageSubmitTransaction,
+  TopicCreateTransaction,
+  TopicMessageQuery,
+  TopicInfoQuery,
+  Timestamp,
+  PrivateKey
+} = require("@hashgraph/sdk");
+const { formatTimestamp, splitTimestamp, toISOString } = require("./timestamp");
+const { EMPTY_RUNNING_HASH } = require("./runningHash");
+
+// Helper function to normalise an SDK TopicMessage into the ledger message shape
+function toLedgerMessage(topicId, msg) {
+  const consensusTimestamp = formatTimestamp(
+    msg.consensusTimestamp.seconds.toString(),
+    msg.consensusTimestamp.nanos.toString()
+  );
+  return {
+    topicId,
+    sequenceNumber: Number(msg.sequenceNumber.toString()),
+    consensusTimestamp,
+    timestamp: toISOString(consensusTimestamp),
+    runningHash: Buffer.from(msg.runningHash).toString("hex"),
+    contents: Buffer.from(msg.contents).toString("utf8"),
+    transactionId: msg.initialTransactionId ? msg.initialTransactionId.toString() : null
+  };
+}
+
+class HederaLedger {
+  constructor({ network = "testnet", accountId, privateKey, topicId }) {
+    this.name = "hedera";
+    this.client = Client.forName(network);
+    this.client.setOperator(accountId, privateKey);
+    this.operatorAccountId = accountId;
+    this.operatorKey = PrivateKey.fromString(privateKey);
+    this.operatorPublicKey = this.operatorKey.publicKey.toString();
+    this.topicId = topicId;
+  }
+
+  async submit(message, topicId = this.topicId) {
+    const response = await new TopicMessageSubmitTransaction()
+      .setTopicId(topicId)
+      .setMessage(message)
+      .execute(this.client);
+    const receipt = await response.getReceipt(this.client);
+
+    return {
+      topicId: topicId.toString(),
+      transactionId: response.transactionId.toString(),
+      sequenceNumber: Number(receipt.topicSequenceNumber.toString()),
+      runningHash: Buffer.from(receipt.topicRunningHash).toString("hex")
+    };
+  }
+
+  // Stream messages with sequenceNumber >= fromSequence. The mirror node
+  // cannot start from a sequence number, so startTime ("seconds.nanos")
+  // narrows the replay when the caller knows the timestamp to resume from.
+  subscribe({ topicId = this.topicId, fromSequence = 1, startTime = 0 } = {}, onMessage, onError) {
+    const seenSequenceNumbers = new Set();
+    if (typeof startTime === "string") {
+      const { seconds, nanos } = splitTimestamp(startTime);
+      startTime = new Timestamp(Number(seconds), Number(nanos));
+    }
+    const query = new TopicMessageQuery()
+      .setTopicId(topicId)
+      .setStartTime(startTime);
+
+    const handle = query.subscribe(
+      this.client,
+      (msg, error) => {
+        console.error("Subscription error:", error);
+        if (onError) onError(error || new Error("Unknown subscription error"));
+      },
+      (msg) => {
+        const sequenceNumber = Number(msg.sequenceNumber.toString());
+        if (sequenceNumber < fromSequence || seenSequenceNumbers.has(sequenceNumber)) return;
+        seenSequenceNumbers.add(sequenceNumber);
+        onMessage(toLedgerMessage(topicId.toString(), msg));
+      }
+    );
+
+    return { unsubscribe: () => handle.unsubscribe() };
+  }
+
+  // The mirror subscription never completes on its own, so a replay resolves
+  // once no new message has arrived for idleMs (or maxWaitMs has passed).
+  replay({ topicId = this.topicId, fromSequence = 1, startTime = 0, idleMs = 3000, maxWaitMs = 30000 } = {}) {
+    return new Promise((resolve, reject) => {
+      const messages = [];
+      let idleTimer;
+      let subscription;
+
+      const finish = (err) => {
+        clearTimeout(idleTimer);
+        clearTimeout(maxTimer);
+        if (subscription) subscription.unsubscribe();
+        if (err) return reject(err);
+        messages.sort((a, b) => a.sequenceNumber - b.sequenceNumber);
+        resolve(messages);
+      };
+      const resetIdle = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => finish(), idleMs);
+      };
+      const maxTimer = setTimeout(() => {
+        console.warn("⚠️ Replay max wait reached, resolving with partial messages.");
+        finish();
+      }, maxWaitMs);
+
+      subscription = this.subscribe(
+        { topicId, fromSequence, startTime },
+        (msg) => {
+          messages.push(msg);
+          resetIdle();
+        },
+        finish
+      );
+      resetIdle();
+    });
+  }
+
+  async createTopic({ memo, adminKey = false, submitKey = false } = {}) {
+    const tx = new TopicCreateTransaction();
+    if (memo) tx.setTopicMemo(memo);
+    if (adminKey) tx.setAdminKey(this.operatorKey.publicKey);
+    if (submitKey) tx.setSubmitKey(this.operatorKey.publicKey);
+    const response = await tx.execute(this.client);
+    const receipt = await response.getReceipt(this.client);
+    return receipt.topicId.toString();
+  }
+
+  async topicInfo(topicId = this.topicId) {
+    const info = await new TopicInfoQuery().setTopicId(topicId).execute(this.client);
+    const sequenceNumber = Number(info.sequenceNumber.toString());
+    return {
+      topicId: topicId.toString(),
+      sequenceNumber,
+      runningHash: sequenceNumber > 0 ? Buffer.from(info.runningHash).toString("hex") : EMPTY_RUNNING_HASH
+    };
+  }
+
+  close() {
+    this.client.close();
+  }
+}
+
+module.exports = { HederaLedger, toLedgerMessage };
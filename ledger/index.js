@@ -0,0 +1,45 @@
+// Ledger adapter. Every backend exposes the same interface:
+//   submit(message, topicId?)                       -> { topicId, transactionId, sequenceNumber, runningHash }
+//   subscribe({ topicId, fromSequence }, onMessage, onError) -> { unsubscribe }
+//   replay({ topicId, fromSequence })               -> Promise<message[]>
+//   createTopic({ memo, adminKey, submitKey })      -> Promise<topicId>
+//   topicInfo(topicId?)                             -> Promise<{ topicId, sequenceNumber, runningHash }>
+// adminKey and submitKey are booleans: when set, the operator key becomes the
+// topic's admin or submit key (operatorPublicKey, null on the local backend),
+// so only this server can change or write to the topic. topicInfo gives the
+// sequence number and running hash of a topic's latest message (0 and the
+// empty running hash for a topic without messages).
+// where each message is
+//   { topicId, sequenceNumber, consensusTimestamp, timestamp, runningHash, contents, transactionId }
+//
+// The backend is chosen with LEDGER_BACKEND:
+//   hedera (default) - Hedera Consensus Service, using HEDERA_NETWORK,
+//                      HEDERA_ACCOUNT_ID, HEDERA_PRIVATE_KEY and HEDERA_TOPIC_ID
+//   local            - in-process ledger, persisted to LEDGER_FILE when set
+
+function createLedger(env = process.env) {
+  const backend = (env.LEDGER_BACKEND || "hedera").toLowerCase();
+
+  if (backend === "hedera") {
+    // Required lazily so the local backend works without the SDK's network setup
+    const { HederaLedger } = require("./hedera");
+    return new HederaLedger({
+      network: env.HEDERA_NETWORK || "testnet",
+      accountId: env.HEDERA_ACCOUNT_ID,
+      privateKey: env.HEDERA_PRIVATE_KEY,
+      topicId: env.HEDERA_TOPIC_ID
+    });
+  }
+
+  if (backend === "local") {
+    const { LocalLedger } = require("./local");
+    return new LocalLedger({
+      file: env.LEDGER_FILE,
+      topicId: env.HEDERA_TOPIC_ID
+    });
+  }
+
+  throw new Error(`Unknown LEDGER_BACKEND: ${backend}`);
+}
+
+module.exports = { createLedger };
@@ -0,0 +1,196 @@
+const crypto = require("crypto");
+const Institution = require("../models/institution");
+const { keyIdOf, verifySignature } = require("./signing");
+const { institutionPayload, encodeMessage, parseMessageContents } = require("./messages");
+const { isEnabled: encryptionEnabled, sealSecret, openSecret } = require("../records/encryption");
+
+// Per-institution signing keys. Every ledger message submitted by a caller
+// that belongs to a registered institution is signed with that institution's
+// active key, so the topic shows which hospital or procurement organization
+// asserted each record, not just the operator account that paid for it.
+//
+// Institutions should register their own public key and keep the private
+// key. Their messages then wait in the outbox until the institution fetches
+// the payload and sends back its signature (see signingRequest), so the
+// server cannot sign for them. Keys the server generates instead are sealed
+// with the master key and used by the server on the institution's behalf.
+
+// A key retired by rotation still covers messages signed before the rotation
+// but anchored shortly after it (the outbox may hold them for a while)
+const ROTATION_GRACE_MS = 60 * 60 * 1000;
+
+// Master-key context of a server-held private key
+function keyContext(institutionId, keyId) {
+  return `institution-key:${institutionId}:${keyId}`;
+}
+
+// Server-held key for an institution that has none of its own
+function generateInstitutionKey(institutionId) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+  const keyId = keyIdOf(publicKey);
+  const pem = privateKey.export({ type: "pkcs8", format: "pem" });
+  return {
+    keyId,
+    publicKey: publicKey.export({ type: "spki", format: "pem" }),
+    custody: "server",
+    ...(encryptionEnabled()
+      ? { sealedPrivateKey: sealSecret(pem, keyContext(institutionId, keyId)) }
+      : { privateKey: pem }),
+    status: "active",
+    createdAt: new Date()
+  };
+}
+
+// Key registered from an ed25519 public key (SPKI PEM) the institution
+// supplies, or null when it is not one
+function importInstitutionKey(publicKeyPem) {
+  let publicKey;
+  try {
+    publicKey = crypto.createPublicKey(String(publicKeyPem));
+  } catch (err) {
+    return null;
+  }
+  if (publicKey.asymmetricKeyType !== "ed25519") return null;
+  return {
+    keyId: keyIdOf(publicKey),
+    publicKey: publicKey.export({ type: "spki", format: "pem" }),
+    custody: "institution",
+    status: "active",
+    createdAt: new Date()
+  };
+}
+
+function privateKeyOf(institutionId, key) {
+  const pem = key.sealedPrivateKey
+    ? openSecret(key.sealedPrivateKey, keyContext(institutionId, key.keyId))
+    : key.privateKey;
+  return crypto.createPrivateKey(pem);
+}
+
+// Signer for the institution's active key, or null when it has none. Keys
+// the institution holds give a signer without sign(): the message is queued
+// unsigned and waits for the institution's own signature.
+async function loadInstitutionSigner(institutionId) {
+  if (!institutionId) return null;
+
+  const institution = await Institution.findOne({ institutionId })
+    .select("+keys.privateKey +keys.sealedPrivateKey")
+    .lean();
+  const key = institution && institution.keys.find(k => k.status === "active");
+  if (!key) return null;
+  if (key.custody === "institution") return { institutionId, keyId: key.keyId, sign: null };
+
+  const privateKey = privateKeyOf(institutionId, key);
+  return {
+    institutionId,
+    keyId: key.keyId,
+    sign: (payload) => crypto.sign(null, Buffer.from(payload), privateKey).toString("base64")
+  };
+}
+
+// What an institution signs for an outbox entry awaiting its signature
+function signingRequest(entry) {
+  const parsed = parseMessageContents(entry.message);
+  return {
+    outboxId: entry._id,
+    recordType: entry.recordType,
+    recordId: entry.recordId,
+    action: parsed.action,
+    hash: entry.hash,
+    institution: parsed.institution,
+    keyId: parsed.institutionKeyId,
+    payload: institutionPayload(parsed),
+    createdAt: entry.createdAt
+  };
+}
+
+// Put the institution's signature (base64, over signingRequest().payload)
+// into an outbox entry awaiting it. Server-signed envelopes are signed again
+// by signer, since their signature covers the institution fields. Resolves
+// with false when the signature does not verify.
+async function applyInstitutionSignature(entry, signature, signer) {
+  const parsed = parseMessageContents(entry.message);
+  const institution = await Institution.findOne({ institutionId: parsed.institution }).lean();
+  const key = institution && institution.keys.find(k => k.keyId === parsed.institutionKeyId);
+  if (!key || key.status === "revoked" || typeof signature !== "string" ||
+    !verifySignature(crypto.createPublicKey(key.publicKey), institutionPayload(parsed), signature)) {
+    return false;
+  }
+
+  entry.set({
+    message: encodeMessage({
+      recordType: parsed.type,
+      recordId: parsed.recordId,
+      action: parsed.action,
+      hashScheme: parsed.hashScheme,
+      hash: parsed.hash,
+      issuer: parsed.issuer,
+      principal: parsed.principal,
+      previousHash: parsed.previousHash,
+      reason: parsed.reason
+    }, entry.signed ? signer : null, { institutionId: parsed.institution, keyId: key.keyId, sign: () => signature }),
+    awaitingSignature: false
+  });
+  return true;
+}
+
+// Check the institution signature of a parsed envelope anchored at
+// anchoredAt (a Date). Returns { status, valid, institution, keyId, detail }
+// where status is one of
+//   unsigned     - no institution signature (older or server-made messages)
+//   valid        - signed with a key that was current at the time
+//   invalid      - signature does not match
+//   unknown-key  - institution or key not registered
+//   key-retired  - signed with a key anchored well after it was rotated out
+//   key-revoked  - signed with a key that has since been revoked
+async function checkInstitutionSignature(parsed, anchoredAt, { graceMs = ROTATION_GRACE_MS } = {}) {
+  if (!parsed || !parsed.institution) {
+    return { status: "unsigned", valid: null, institution: null, keyId: null, detail: null };
+  }
+
+  const result = { institution: parsed.institution, keyId: parsed.institutionKeyId };
+  const institution = await Institution.findOne({ institutionId: parsed.institution }).lean();
+  const key = institution && institution.keys.find(k => k.keyId === parsed.institutionKeyId);
+  if (!key) {
+    return { ...result, status: "unknown-key", valid: false, detail: "Key is not registered for this institution" };
+  }
+
+  const signatureValid = Boolean(parsed.institutionSignature) && verifySignature(
+    crypto.createPublicKey(key.publicKey),
+    institutionPayload(parsed),
+    parsed.institutionSignature
+  );
+  if (!signatureValid) {
+    return { ...result, status: "invalid", valid: false, detail: "Signature does not match" };
+  }
+
+  if (key.status === "revoked") {
+    return {
+      ...result,
+      status: "key-revoked",
+      valid: false,
+      detail: `Key revoked at ${new Date(key.revokedAt).toISOString()}${key.revocationReason ? ` (${key.revocationReason})` : ""}`
+    };
+  }
+  if (key.status === "retired" && anchoredAt && anchoredAt.getTime() > new Date(key.retiredAt).getTime() + graceMs) {
+    return {
+      ...result,
+      status: "key-retired",
+      valid: false,
+      detail: `Anchored after the key was rotated out at ${new Date(key.retiredAt).toISOString()}`
+    };
+  }
+
+  return { ...result, status: "valid", valid: true, detail: key.status === "retired" ? "Signed with a since-rotated key" : null };
+}
+
+module.exports = {
+  ROTATION_GRACE_MS,
+  keyContext,
+  generateInstitutionKey,
+  importInstitutionKey,
+  loadInstitutionSigner,
+  signingRequest,
+  applyInstitutionSignature,
+  checkInstitutionSignature
+};
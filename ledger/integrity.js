@@ -0,0 +1,138 @@
+const { computeRunningHash, EMPTY_RUNNING_HASH } = require("./runningHash");
+const { toNanos } = require("./timestamp");
+const { parseMessageContents } = require("./messages");
+const { canonicalStringify } = require("../records/hashing");
+
+// Running-hash chain validation. Each HCS message's running hash covers the
+// previous running hash, so recomputing it message by message shows whether
+// any message was altered, dropped or reordered, whether by a mirror node
+// or in the local index.
+
+// "0.0.123@1700000000.000000001" -> "0.0.123"
+function payerOf(transactionId) {
+  if (!transactionId) return null;
+  const payer = String(transactionId).split("@")[0];
+  return /^\d+\.\d+\.\d+$/.test(payer) ? payer : null;
+}
+
+function missing(first, last) {
+  return first === last ? `Missing sequence ${first}` : `Missing sequence ${first}-${last}`;
+}
+
+// Check one message against its predecessor (null for the first message of
+// the topic). Returns { status, detail } where status is one of
+//   valid        - running hash recomputed and matches
+//   mismatch     - running hash does not match the contents/predecessor
+//   gap          - predecessor missing, so the chain cannot be followed
+//   reordered    - consensus timestamp not after the predecessor's
+//   unverifiable - payer account unknown, so the hash cannot be recomputed
+function checkLink(previous, msg) {
+  if (previous && msg.sequenceNumber !== previous.sequenceNumber + 1) {
+    return { status: "gap", detail: missing(previous.sequenceNumber + 1, msg.sequenceNumber - 1) };
+  }
+  if (!previous && msg.sequenceNumber !== 1) {
+    return { status: "gap", detail: missing(1, msg.sequenceNumber - 1) };
+  }
+  if (previous && toNanos(msg.consensusTimestamp) <= toNanos(previous.consensusTimestamp)) {
+    return { status: "reordered", detail: `Consensus timestamp not after sequence ${previous.sequenceNumber}` };
+  }
+
+  const payerAccountId = payerOf(msg.transactionId);
+  if (!payerAccountId) {
+    return { status: "unverifiable", detail: "Payer account unknown" };
+  }
+
+  const expected = computeRunningHash({
+    previousRunningHash: previous ? previous.runningHash : EMPTY_RUNNING_HASH,
+    payerAccountId,
+    topicId: msg.topicId,
+    consensusTimestamp: msg.consensusTimestamp,
+    sequenceNumber: msg.sequenceNumber,
+    contents: msg.contents
+  });
+
+  return expected === msg.runningHash
+    ? { status: "valid", detail: null }
+    : { status: "mismatch", detail: `Expected running hash ${expected}` };
+}
+
+// LedgerMessage columns decoded from contents by ledger/sync.js, and the
+// parseMessageContents field each comes from. The running hash only covers
+// contents, so a column edited in the index is caught by comparing the two.
+const DECODED_COLUMNS = {
+  envelopeVersion: "version",
+  type: "type",
+  recordId: "recordId",
+  action: "action",
+  hash: "hash",
+  hashScheme: "hashScheme",
+  issuer: "issuer",
+  principal: "principal",
+  previousHash: "previousHash",
+  reason: "reason",
+  institution: "institution",
+  institutionKeyId: "institutionKeyId",
+  keyId: "keyId"
+};
+
+function columnValue(value) {
+  if (value === undefined || Number.isNaN(value)) return null;
+  if (value && typeof value === "object" && Object.keys(value).length === 0) return null;
+  return value;
+}
+
+// Names of the decoded columns of a stored message that differ from its
+// contents
+function decodedMismatches(msg) {
+  const parsed = parseMessageContents(msg.contents) || {};
+  return Object.entries(DECODED_COLUMNS)
+    .filter(([column, field]) =>
+      canonicalStringify(columnValue(msg[column])) !== canonicalStringify(columnValue(parsed[field])))
+    .map(([column]) => column);
+}
+
+// Validate a run of stored messages (LedgerMessage documents) from one
+// topic: the running-hash chain, and the decoded columns against contents.
+// When the run does not start at sequence 1, pass the message just before it
+// as `previous`.
+function checkChain(messages, { previous = null } = {}) {
+  const sorted = [...messages].sort((a, b) => a.sequenceNumber - b.sequenceNumber);
+  const issues = [];
+  const counts = { valid: 0, mismatch: 0, gap: 0, reordered: 0, unverifiable: 0, duplicate: 0, decoded: 0 };
+
+  let prev = previous;
+  for (const msg of sorted) {
+    if (prev && msg.sequenceNumber === prev.sequenceNumber) {
+      counts.duplicate++;
+      issues.push({ sequenceNumber: msg.sequenceNumber, status: "duplicate", detail: "Sequence number seen twice" });
+      continue;
+    }
+
+    const { status, detail } = checkLink(prev, msg);
+    counts[status]++;
+    if (status !== "valid") issues.push({ sequenceNumber: msg.sequenceNumber, status, detail });
+    prev = msg;
+
+    const columns = decodedMismatches(msg);
+    if (columns.length) {
+      counts.decoded++;
+      issues.push({
+        sequenceNumber: msg.sequenceNumber,
+        status: "decoded",
+        detail: `Decoded ${columns.join(", ")} differ from the message contents`
+      });
+    }
+  }
+
+  return {
+    checked: sorted.length,
+    firstSequence: sorted.length ? sorted[0].sequenceNumber : null,
+    lastSequence: sorted.length ? sorted[sorted.length - 1].sequenceNumber : null,
+    valid: counts.mismatch === 0 && counts.gap === 0 && counts.reordered === 0 &&
+      counts.duplicate === 0 && counts.decoded === 0,
+    counts,
+    issues
+  };
+}
+
+module.exports = { payerOf, checkLink, decodedMismatches, checkChain };
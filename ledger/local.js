@@ -0,0 +1,176 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { computeRunningHash, EMPTY_RUNNING_HASH } = require("./runningHash");
+const { fromNanos, toNanos, toISOString } = require("./timestamp");
+
+// Offline stand-in for HCS. Topics and messages live in memory and, when a
+// file is given, are appended to it as JSON lines so they survive restarts.
+// Sequence numbers, consensus timestamps and running hashes follow the same
+// rules as Hedera so the rest of the server cannot tell the difference.
+class LocalLedger {
+  constructor({ file, topicId, payerAccountId = "0.0.2" } = {}) {
+    this.name = "local";
+    this.file = file;
+    this.operatorAccountId = payerAccountId;
+    this.operatorPublicKey = null;
+    this.topics = new Map();
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+    this.nextTopicNum = 1001;
+    this.lastTimestamp = 0n;
+
+    if (file && fs.existsSync(file)) this.load();
+    if (file) fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+
+    this.topicId = topicId || this.topics.keys().next().value || this.addTopic({}).topicId;
+    if (!this.topics.has(this.topicId)) this.addTopic({ topicId: this.topicId });
+  }
+
+  load() {
+    const lines = fs.readFileSync(this.file, "utf8").split("\n").filter(Boolean);
+    for (const line of lines) {
+      const entry = JSON.parse(line);
+      if (entry.kind === "topic") {
+        this.registerTopic(entry);
+      } else if (entry.kind === "message") {
+        const { kind, ...msg } = entry;
+        this.getTopic(msg.topicId).messages.push(msg);
+        const ts = toNanos(msg.consensusTimestamp);
+        if (ts > this.lastTimestamp) this.lastTimestamp = ts;
+      }
+    }
+  }
+
+  append(entry) {
+    if (this.file) fs.appendFileSync(this.file, JSON.stringify(entry) + "\n");
+  }
+
+  registerTopic({ topicId, memo = "", adminKey = false, submitKey = false }) {
+    const topic = { topicId, memo, adminKey, submitKey, messages: [] };
+    this.topics.set(topicId, topic);
+    const num = Number(topicId.split(".")[2]);
+    if (num >= this.nextTopicNum) this.nextTopicNum = num + 1;
+    return topic;
+  }
+
+  addTopic({ topicId, memo, adminKey, submitKey }) {
+    const topic = this.registerTopic({ topicId: topicId || `0.0.${this.nextTopicNum}`, memo, adminKey, submitKey });
+    this.append({
+      kind: "topic",
+      topicId: topic.topicId,
+      memo: topic.memo,
+      adminKey: topic.adminKey,
+      submitKey: topic.submitKey
+    });
+    return topic;
+  }
+
+  getTopic(topicId) {
+    const topic = this.topics.get(String(topicId));
+    if (!topic) throw new Error(`Unknown topic: ${topicId}`);
+    return topic;
+  }
+
+  // Consensus timestamps must be strictly increasing
+  nextTimestamp() {
+    let ts = BigInt(Date.now()) * 1000000n;
+    if (ts <= this.lastTimestamp) ts = this.lastTimestamp + 1n;
+    this.lastTimestamp = ts;
+    return fromNanos(ts);
+  }
+
+  async submit(message, topicId = this.topicId) {
+    const topic = this.getTopic(topicId);
+    const previous = topic.messages[topic.messages.length - 1];
+    const contents = Buffer.isBuffer(message) ? message.toString("utf8") : String(message);
+    const sequenceNumber = topic.messages.length + 1;
+    const consensusTimestamp = this.nextTimestamp();
+    const transactionId = `${this.operatorAccountId}@${consensusTimestamp}`;
+
+    const msg = {
+      topicId: topic.topicId,
+      sequenceNumber,
+      consensusTimestamp,
+      timestamp: toISOString(consensusTimestamp),
+      runningHash: computeRunningHash({
+        previousRunningHash: previous ? previous.runningHash : EMPTY_RUNNING_HASH,
+        payerAccountId: this.operatorAccountId,
+        topicId: topic.topicId,
+        consensusTimestamp,
+        sequenceNumber,
+        contents
+      }),
+      contents,
+      transactionId
+    };
+
+    topic.messages.push(msg);
+    this.append({ kind: "message", ...msg });
+    this.events.emit(topic.topicId, msg);
+
+    return {
+      topicId: topic.topicId,
+      transactionId,
+      sequenceNumber,
+      runningHash: msg.runningHash
+    };
+  }
+
+  subscribe({ topicId = this.topicId, fromSequence = 1 } = {}, onMessage, onError) {
+    let topic;
+    try {
+      topic = this.getTopic(topicId);
+    } catch (err) {
+      if (onError) setImmediate(() => onError(err));
+      return { unsubscribe: () => {} };
+    }
+
+    let active = true;
+    let delivered = fromSequence - 1;
+    const listener = (msg) => {
+      if (!active || msg.sequenceNumber <= delivered) return;
+      delivered = msg.sequenceNumber;
+      onMessage(msg);
+    };
+
+    // Deliver the backlog asynchronously, like a mirror node would
+    setImmediate(() => {
+      for (const msg of topic.messages.slice(Math.max(fromSequence - 1, 0))) listener(msg);
+      if (active) this.events.on(topic.topicId, listener);
+    });
+
+    return {
+      unsubscribe: () => {
+        active = false;
+        this.events.removeListener(topic.topicId, listener);
+      }
+    };
+  }
+
+  async replay({ topicId = this.topicId, fromSequence = 1 } = {}) {
+    return this.getTopic(topicId).messages.slice(Math.max(fromSequence - 1, 0));
+  }
+
+  async topicInfo(topicId = this.topicId) {
+    const topic = this.getTopic(topicId);
+    const last = topic.messages[topic.messages.length - 1];
+    return {
+      topicId: topic.topicId,
+      sequenceNumber: last ? last.sequenceNumber : 0,
+      runningHash: last ? last.runningHash : EMPTY_RUNNING_HASH
+    };
+  }
+
+  // Keys are only recorded: every local submission comes from the operator
+  async createTopic({ memo, adminKey = false, submitKey = false } = {}) {
+    return this.addTopic({ memo, adminKey, submitKey }).topicId;
+  }
+
+  close() {
+    this.events.removeAllListeners();
+  }
+}
+
+module.exports = { LocalLedger };
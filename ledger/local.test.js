@@ -0,0 +1,128 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { LocalLedger } = require("./local");
+const { checkLink } = require("./integrity");
+const { encodeMessage, parseMessageContents } = require("./messages");
+const { EMPTY_RUNNING_HASH } = require("./runningHash");
+const { hashRecord, generateSalt, CURRENT_HASH_SCHEME } = require("../records/hashing");
+const { loadTopicDump, verifyReceipt } = require("../verifier");
+
+function tempLedgerFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ledger-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "ledger.jsonl");
+}
+
+function patientAnchor(ledger, recordId) {
+  const fields = { name: "Test Patient", bloodType: "O+", age: 42 };
+  const salt = generateSalt();
+  const hash = hashRecord("patient", { ...fields, salt }, CURRENT_HASH_SCHEME);
+  const message = encodeMessage({
+    recordType: "patient",
+    recordId,
+    hashScheme: CURRENT_HASH_SCHEME,
+    hash,
+    issuer: ledger.operatorAccountId
+  });
+  return { fields, salt, hash, message };
+}
+
+// Messages from fromSequence on, until count have arrived
+function collect(ledger, { topicId, fromSequence = 1 }, count) {
+  return new Promise((resolve, reject) => {
+    const messages = [];
+    const subscription = ledger.subscribe({ topicId, fromSequence }, (msg) => {
+      messages.push(msg);
+      if (messages.length === count) {
+        subscription.unsubscribe();
+        resolve(messages);
+      }
+    }, reject);
+  });
+}
+
+test("anchors, syncs and verifies a record offline", async (t) => {
+  const file = tempLedgerFile(t);
+  const ledger = new LocalLedger({ file });
+  t.after(() => ledger.close());
+
+  const anchor = patientAnchor(ledger, "p1");
+  const submitted = await ledger.submit(anchor.message);
+  assert.strictEqual(submitted.topicId, ledger.topicId);
+  assert.strictEqual(submitted.sequenceNumber, 1);
+
+  // The backlog, then a message submitted while subscribed
+  const synced = collect(ledger, { topicId: ledger.topicId }, 2);
+  await ledger.submit(patientAnchor(ledger, "p2").message);
+  const messages = await synced;
+
+  assert.deepStrictEqual(messages.map(m => m.sequenceNumber), [1, 2]);
+  assert.strictEqual(parseMessageContents(messages[0].contents).hash, anchor.hash);
+  let previous = null;
+  for (const msg of messages) {
+    assert.strictEqual(checkLink(previous, msg).status, "valid");
+    previous = msg;
+  }
+
+  const [first] = messages;
+  const receipt = {
+    recordType: "patient",
+    recordId: "p1",
+    fields: anchor.fields,
+    hashScheme: CURRENT_HASH_SCHEME,
+    salt: anchor.salt,
+    hash: anchor.hash,
+    anchor: {
+      topicId: first.topicId,
+      sequenceNumber: first.sequenceNumber,
+      consensusTimestamp: first.consensusTimestamp,
+      runningHash: first.runningHash,
+      message: first.contents
+    }
+  };
+  const dump = loadTopicDump(fs.readFileSync(file, "utf8"), ledger.topicId);
+  const result = await verifyReceipt(receipt, { dump });
+  assert.strictEqual(result.valid, true, JSON.stringify(result.checks));
+
+  const tampered = await verifyReceipt({ ...receipt, fields: { ...anchor.fields, age: 43 } }, { dump });
+  assert.strictEqual(tampered.valid, false);
+});
+
+test("resumes a subscription after a given sequence number", async (t) => {
+  const ledger = new LocalLedger();
+  t.after(() => ledger.close());
+
+  for (const id of ["p1", "p2", "p3"]) await ledger.submit(patientAnchor(ledger, id).message);
+  const messages = await collect(ledger, { topicId: ledger.topicId, fromSequence: 3 }, 1);
+  assert.strictEqual(messages[0].sequenceNumber, 3);
+});
+
+test("reloads topics and messages from its file", async (t) => {
+  const file = tempLedgerFile(t);
+  const ledger = new LocalLedger({ file });
+  const topicId = await ledger.createTopic({ memo: "organs" });
+  assert.deepStrictEqual(await ledger.topicInfo(topicId), {
+    topicId,
+    sequenceNumber: 0,
+    runningHash: EMPTY_RUNNING_HASH
+  });
+  const first = await ledger.submit(patientAnchor(ledger, "p1").message, topicId);
+  ledger.close();
+
+  const reloaded = new LocalLedger({ file });
+  t.after(() => reloaded.close());
+  assert.strictEqual(reloaded.topicId, ledger.topicId);
+  assert.deepStrictEqual(await reloaded.topicInfo(topicId), {
+    topicId,
+    sequenceNumber: 1,
+    runningHash: first.runningHash
+  });
+
+  const second = await reloaded.submit(patientAnchor(reloaded, "p2").message, topicId);
+  assert.strictEqual(second.sequenceNumber, 2);
+  const [one, two] = await reloaded.replay({ topicId });
+  assert.strictEqual(checkLink(one, two).status, "valid");
+});
@@ -0,0 +1,142 @@
+const { ACTIONS } = require("./messages");
+const { splitTimestamp, formatTimestamp, fromNanos, toSortKey } = require("./timestamp");
+
+// Query parameters of GET /logs, turned into a LedgerMessage filter over the
+// registered topics (see ledger/topics.js):
+//   topicId        one registered topic instead of all of them
+//   type           record type, or several separated by commas
+//   action         envelope action (see ledger/messages.js)
+//   institution    institution that signed the message
+//   fromSequence / toSequence   inclusive sequence-number range; sequence
+//                  numbers are per topic, so pair them with topicId
+//   from / to      inclusive consensus time range, as an ISO date or a
+//                  "seconds.nanos" consensus timestamp
+//   order          "asc" (default) or "desc" by consensus time
+//   limit          page size, at most MAX_LIMIT
+//   cursor         nextCursor from the previous page
+//   include        "record" to join each message to its Mongo record
+// Pages are keyed on the consensus timestamp, which orders messages across
+// topics, so new messages arriving while a client pages through do not
+// shift the pages it has yet to read. Ranges and pages are matched on the
+// stored consensusKey (see toSortKey in ledger/timestamp.js), since the
+// timestamps themselves do not compare as strings.
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+function encodeCursor(consensusTimestamp) {
+  return Buffer.from(JSON.stringify({ after: consensusTimestamp })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { after } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    return typeof after === "string" && /^\d+\.\d{9}$/.test(after) ? after : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// "seconds.nanos" or anything Date understands -> consensus timestamp string
+function toConsensusTimestamp(value) {
+  if (/^\d+(\.\d{1,9})?$/.test(value)) {
+    const { seconds, nanos } = splitTimestamp(value);
+    return formatTimestamp(seconds, nanos);
+  }
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : fromNanos(BigInt(ms) * 1000000n);
+}
+
+function sequenceParam(query, name, errors) {
+  if (query[name] === undefined) return null;
+  const value = Number(query[name]);
+  if (!Number.isInteger(value) || value < 1) {
+    errors.push({ field: name, message: `${name} must be a positive whole number` });
+    return null;
+  }
+  return value;
+}
+
+// Consensus key of a time parameter
+function timeParam(query, name, errors) {
+  if (query[name] === undefined) return null;
+  const value = toConsensusTimestamp(String(query[name]));
+  if (!value) errors.push({ field: name, message: `${name} must be an ISO date or a consensus timestamp` });
+  return value && toSortKey(value);
+}
+
+// Returns { errors } or { filter, sort, limit, join }
+function parseLogQuery(query, topicIds) {
+  const errors = [];
+  const filter = { topicId: { $in: topicIds } };
+
+  if (query.topicId) {
+    if (topicIds.includes(String(query.topicId))) {
+      filter.topicId = String(query.topicId);
+    } else {
+      errors.push({ field: "topicId", message: "topicId is not a registered topic" });
+    }
+  }
+  if (query.type) {
+    const types = String(query.type).toLowerCase().split(",").map(t => t.trim()).filter(Boolean);
+    filter.type = types.length === 1 ? types[0] : { $in: types };
+  }
+  if (query.action) {
+    if (ACTIONS.includes(query.action)) {
+      filter.action = query.action;
+    } else {
+      errors.push({ field: "action", message: `action must be one of ${ACTIONS.join(", ")}` });
+    }
+  }
+  if (query.institution) filter.institution = String(query.institution);
+
+  const order = query.order || "asc";
+  if (!["asc", "desc"].includes(order)) errors.push({ field: "order", message: "order must be asc or desc" });
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push({ field: "limit", message: `limit must be between 1 and ${MAX_LIMIT}` });
+  }
+
+  const sequence = {};
+  const fromSequence = sequenceParam(query, "fromSequence", errors);
+  const toSequence = sequenceParam(query, "toSequence", errors);
+  if (fromSequence !== null) sequence.$gte = fromSequence;
+  if (toSequence !== null) sequence.$lte = toSequence;
+  if (Object.keys(sequence).length) filter.sequenceNumber = sequence;
+
+  const consensus = {};
+  const from = timeParam(query, "from", errors);
+  const to = timeParam(query, "to", errors);
+  if (from) consensus.$gte = from;
+  if (to) consensus.$lte = to;
+  if (query.cursor !== undefined) {
+    const after = decodeCursor(query.cursor);
+    if (after === null) {
+      errors.push({ field: "cursor", message: "cursor is not valid" });
+    } else {
+      consensus[order === "desc" ? "$lt" : "$gt"] = toSortKey(after);
+    }
+  }
+  if (Object.keys(consensus).length) filter.consensusKey = consensus;
+
+  if (query.include && query.include !== "record") {
+    errors.push({ field: "include", message: "include must be record" });
+  }
+
+  if (errors.length) return { errors };
+  return {
+    filter,
+    sort: { consensusKey: order === "desc" ? -1 : 1 },
+    limit,
+    join: query.include === "record"
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  toConsensusTimestamp,
+  parseLogQuery
+};
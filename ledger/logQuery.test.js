@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseLogQuery, encodeCursor, decodeCursor, toConsensusTimestamp, MAX_LIMIT } = require("./logQuery");
+const { toSortKey } = require("./timestamp");
+
+const TOPICS = ["0.0.1001", "0.0.1002"];
+
+// String comparison, as MongoDB applies it to consensusKey
+function matches(key, range) {
+  return (range.$gte === undefined || key >= range.$gte) &&
+    (range.$lte === undefined || key <= range.$lte) &&
+    (range.$gt === undefined || key > range.$gt) &&
+    (range.$lt === undefined || key < range.$lt);
+}
+
+test("defaults to all registered topics, ascending", () => {
+  const query = parseLogQuery({}, TOPICS);
+  assert.deepStrictEqual(query.filter, { topicId: { $in: TOPICS } });
+  assert.deepStrictEqual(query.sort, { consensusKey: 1 });
+  assert.strictEqual(query.join, false);
+});
+
+test("builds the type, action, institution and sequence filters", () => {
+  const query = parseLogQuery({
+    topicId: "0.0.1002",
+    type: "Patient, organ",
+    action: "revoke",
+    institution: "opo-west",
+    fromSequence: "3",
+    toSequence: "9",
+    order: "desc",
+    limit: "10",
+    include: "record"
+  }, TOPICS);
+  assert.deepStrictEqual(query.filter, {
+    topicId: "0.0.1002",
+    type: { $in: ["patient", "organ"] },
+    action: "revoke",
+    institution: "opo-west",
+    sequenceNumber: { $gte: 3, $lte: 9 }
+  });
+  assert.deepStrictEqual(query.sort, { consensusKey: -1 });
+  assert.strictEqual(query.limit, 10);
+  assert.strictEqual(query.join, true);
+});
+
+test("reports every invalid parameter", () => {
+  const { errors } = parseLogQuery({
+    topicId: "0.0.9",
+    action: "delete",
+    order: "sideways",
+    limit: String(MAX_LIMIT + 1),
+    fromSequence: "0",
+    from: "not a date",
+    cursor: "nope",
+    include: "everything"
+  }, TOPICS);
+  assert.deepStrictEqual(errors.map(e => e.field).sort(), [
+    "action", "cursor", "from", "fromSequence", "include", "limit", "order", "topicId"
+  ]);
+});
+
+test("normalizes ISO dates and consensus timestamps", () => {
+  assert.strictEqual(toConsensusTimestamp("2000-01-01T00:00:00Z"), "946684800.000000000");
+  assert.strictEqual(toConsensusTimestamp("1700000000.5"), "1700000000.500000000");
+  assert.strictEqual(toConsensusTimestamp("yesterday"), null);
+});
+
+test("compares time ranges in time order across digit counts", () => {
+  const { filter } = parseLogQuery({ from: "2000-01-01", to: "1700000001" }, TOPICS);
+  assert.ok(matches(toSortKey("1700000000.000000000"), filter.consensusKey));
+  assert.ok(matches(toSortKey("946684800.000000000"), filter.consensusKey));
+  assert.ok(!matches(toSortKey("946684799.999999999"), filter.consensusKey));
+  assert.ok(!matches(toSortKey("1700000001.000000001"), filter.consensusKey));
+});
+
+test("pages after the cursor in either order", () => {
+  const cursor = encodeCursor("999999999.000000000");
+  assert.strictEqual(decodeCursor(cursor), "999999999.000000000");
+
+  const asc = parseLogQuery({ cursor }, TOPICS).filter.consensusKey;
+  assert.ok(matches(toSortKey("1000000000.000000000"), asc));
+  assert.ok(!matches(toSortKey("999999999.000000000"), asc));
+
+  const desc = parseLogQuery({ cursor, order: "desc" }, TOPICS).filter.consensusKey;
+  assert.ok(matches(toSortKey("999999998.999999999"), desc));
+  assert.ok(!matches(toSortKey("1000000000.000000000"), desc));
+});
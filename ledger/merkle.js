@@ -0,0 +1,72 @@
+const crypto = require("crypto");
+
+// Binary Merkle tree over ledger messages. Leaves and inner nodes are hashed
+// with different prefixes (as in RFC 6962) so a leaf can never be passed
+// off as an inner node. An unpaired node is carried up to the next level.
+const MERKLE_TREE_VERSION = 1;
+
+function sha256(...parts) {
+  const hash = crypto.createHash("sha256");
+  for (const part of parts) hash.update(part);
+  return hash.digest();
+}
+
+function leafHash(leaf) {
+  return sha256(Buffer.from([0]), Buffer.from(leaf));
+}
+
+function nodeHash(left, right) {
+  return sha256(Buffer.from([1]), left, right);
+}
+
+// Returns the root and, for each leaf, its inclusion path from the bottom up:
+// [{ position: "left" | "right", hash }] where position is the sibling's side
+function buildMerkleTree(leaves) {
+  if (leaves.length === 0) throw new Error("Cannot build a Merkle tree with no leaves");
+
+  let level = leaves.map(leafHash);
+  let positions = leaves.map((leaf, i) => [i]); // leaf indexes under each node
+  const proofs = leaves.map(() => []);
+
+  while (level.length > 1) {
+    const nextLevel = [];
+    const nextPositions = [];
+
+    for (let i = 0; i < level.length; i += 2) {
+      if (i + 1 === level.length) {
+        nextLevel.push(level[i]);
+        nextPositions.push(positions[i]);
+        continue;
+      }
+      for (const leaf of positions[i]) proofs[leaf].push({ position: "right", hash: level[i + 1].toString("hex") });
+      for (const leaf of positions[i + 1]) proofs[leaf].push({ position: "left", hash: level[i].toString("hex") });
+      nextLevel.push(nodeHash(level[i], level[i + 1]));
+      nextPositions.push(positions[i].concat(positions[i + 1]));
+    }
+
+    level = nextLevel;
+    positions = nextPositions;
+  }
+
+  return { root: level[0].toString("hex"), proofs };
+}
+
+function computeMerkleRoot(leaf, proof) {
+  let hash = leafHash(leaf);
+  for (const step of proof) {
+    const sibling = Buffer.from(step.hash, "hex");
+    hash = step.position === "left" ? nodeHash(sibling, hash) : nodeHash(hash, sibling);
+  }
+  return hash.toString("hex");
+}
+
+function verifyMerkleProof(leaf, proof, root) {
+  return computeMerkleRoot(leaf, proof) === root;
+}
+
+module.exports = {
+  MERKLE_TREE_VERSION,
+  buildMerkleTree,
+  computeMerkleRoot,
+  verifyMerkleProof
+};
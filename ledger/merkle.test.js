@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const { buildMerkleTree, computeMerkleRoot, verifyMerkleProof } = require("./merkle");
+
+const leaves = ["a", "b", "c", "d", "e"].map(l => `{"hash":"${l}"}`);
+
+function sha256(...parts) {
+  const hash = crypto.createHash("sha256");
+  for (const part of parts) hash.update(part);
+  return hash.digest();
+}
+
+test("proves every leaf, including the unpaired one", () => {
+  for (const size of [1, 2, 3, 4, 5]) {
+    const { root, proofs } = buildMerkleTree(leaves.slice(0, size));
+    leaves.slice(0, size).forEach((leaf, i) => {
+      assert.ok(verifyMerkleProof(leaf, proofs[i], root), `leaf ${i} of ${size}`);
+    });
+  }
+});
+
+test("hashes leaves and nodes with distinct prefixes", () => {
+  const { root, proofs } = buildMerkleTree(leaves.slice(0, 2));
+  const left = sha256(Buffer.from([0]), Buffer.from(leaves[0]));
+  const right = sha256(Buffer.from([0]), Buffer.from(leaves[1]));
+  assert.strictEqual(root, sha256(Buffer.from([1]), left, right).toString("hex"));
+  assert.deepStrictEqual(proofs[0], [{ position: "right", hash: right.toString("hex") }]);
+
+  // A single leaf is its own root, but still leaf-hashed
+  assert.strictEqual(buildMerkleTree([leaves[0]]).root, left.toString("hex"));
+});
+
+test("rejects a changed leaf, proof or root", () => {
+  const { root, proofs } = buildMerkleTree(leaves);
+  assert.ok(!verifyMerkleProof(leaves[1], proofs[0], root));
+  assert.ok(!verifyMerkleProof(leaves[0], proofs[0], "00".repeat(32)));
+
+  const flipped = proofs[0].map(step => ({ ...step, position: step.position === "left" ? "right" : "left" }));
+  assert.ok(!verifyMerkleProof(leaves[0], flipped, root));
+  assert.ok(!verifyMerkleProof(leaves[0], proofs[0].slice(1), root));
+});
+
+test("does not accept an inner node as a leaf", () => {
+  const { proofs } = buildMerkleTree(leaves.slice(0, 4));
+  const left = sha256(Buffer.from([0]), Buffer.from(leaves[0]));
+  const right = sha256(Buffer.from([0]), Buffer.from(leaves[1]));
+  const inner = Buffer.concat([left, right]);
+  const root = computeMerkleRoot(leaves[0], proofs[0]);
+  assert.ok(!verifyMerkleProof(inner, proofs[0].slice(1), root));
+});
+
+test("needs at least one leaf", () => {
+  assert.throws(() => buildMerkleTree([]), /no leaves/);
+});
@@ -0,0 +1,154 @@
+const { canonicalStringify, LEGACY_HASH_SCHEME } = require("../records/hashing");
+
+// Ledger message formats:
+//   v0 "TYPE|hash"           - first messages, legacy hash scheme
+//   v1 "TYPE|hash|scheme"    - versioned hash scheme
+//   v2 JSON envelope         - { v, type, recordId, action, hashScheme, hash, issuer,
+//                                principal?, previousHash?, reason?,
+//                                institution?, institutionKeyId?, institutionSignature?,
+//                                keyId?, signature? }
+// principal is the authenticated caller ({ id, role, institution }) that made
+// the change, previousHash links an update to the hash of the version it
+// replaces and reason says why a record was revoked or erased. Envelopes submitted for
+// an institution carry its ID and a signature with its own key over
+// institutionPayload (see ledger/institutions.js). Server-signed envelopes
+// carry the server keyId and a signature over the canonical envelope without
+// the signature.
+// Topic rotations are recorded as "topic" envelopes with action "link" (see
+// ledger/topics.js).
+// New messages are always written as v2; the parser accepts all three.
+const ENVELOPE_VERSION = 2;
+const ACTIONS = ["create", "update", "revoke", "erase", "link"];
+
+// Tombstones name the hash they retire but do not anchor it
+const TOMBSTONE_ACTIONS = ["revoke", "erase"];
+
+function isTombstone(action) {
+  return TOMBSTONE_ACTIONS.includes(action);
+}
+
+// The exact bytes an institution signature covers: the record hash, bound to
+// the record, action and institution so it cannot be replayed onto another
+function institutionPayload({ type, recordId, action, hash, institution }) {
+  return canonicalStringify({ type, recordId, action, hash, institution });
+}
+
+// signer, when given, is { keyId, sign(payload) -> base64 signature };
+// institutionSigner is the same plus institutionId. An institutionSigner
+// without sign() names the institution and key but leaves the signature
+// for the institution to add (see ledger/institutions.js).
+function encodeMessage({ recordType, recordId, action = "create", hashScheme, hash, issuer, principal, previousHash, reason }, signer, institutionSigner) {
+  if (!recordType || !recordId || !hash) {
+    throw new Error("Ledger messages need a record type, record ID and hash");
+  }
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Unknown ledger action: ${action}`);
+  }
+
+  const envelope = {
+    v: ENVELOPE_VERSION,
+    type: recordType.toLowerCase(),
+    recordId: String(recordId),
+    action,
+    hashScheme: Number(hashScheme),
+    hash,
+    issuer: issuer || null
+  };
+  if (principal) envelope.principal = principal;
+  if (previousHash) envelope.previousHash = previousHash;
+  if (reason) envelope.reason = reason;
+
+  if (institutionSigner) {
+    envelope.institution = institutionSigner.institutionId;
+    envelope.institutionKeyId = institutionSigner.keyId;
+    if (institutionSigner.sign) envelope.institutionSignature = institutionSigner.sign(institutionPayload(envelope));
+  }
+
+  if (signer) {
+    envelope.keyId = signer.keyId;
+    envelope.signature = signer.sign(canonicalStringify(envelope));
+  }
+
+  return canonicalStringify(envelope);
+}
+
+// The exact bytes a signed envelope's signature covers
+function signedPayload(contents) {
+  const { signature, ...envelope } = JSON.parse(contents);
+  return canonicalStringify(envelope);
+}
+
+function parseEnvelope(contents) {
+  let envelope;
+  try {
+    envelope = JSON.parse(contents);
+  } catch (err) {
+    return null;
+  }
+
+  if (!envelope || envelope.v !== ENVELOPE_VERSION || !envelope.type || !envelope.hash) {
+    return null;
+  }
+
+  return {
+    version: ENVELOPE_VERSION,
+    type: String(envelope.type).toLowerCase(),
+    recordId: envelope.recordId || null,
+    action: envelope.action || "create",
+    hashScheme: Number(envelope.hashScheme),
+    hash: envelope.hash,
+    issuer: envelope.issuer || null,
+    principal: envelope.principal || null,
+    previousHash: envelope.previousHash || null,
+    reason: envelope.reason || null,
+    institution: envelope.institution || null,
+    institutionKeyId: envelope.institutionKeyId || null,
+    institutionSignature: envelope.institutionSignature || null,
+    keyId: envelope.keyId || null,
+    signature: envelope.signature || null
+  };
+}
+
+function parseLegacy(contents) {
+  const [type, hash, hashScheme] = String(contents).split("|");
+
+  if (!type || !hash) {
+    return null;
+  }
+
+  return {
+    version: hashScheme === undefined ? 0 : 1,
+    type: type.toLowerCase(),
+    recordId: null,
+    action: "create",
+    hashScheme: hashScheme === undefined ? LEGACY_HASH_SCHEME : Number(hashScheme),
+    hash,
+    issuer: null,
+    principal: null,
+    previousHash: null,
+    reason: null,
+    institution: null,
+    institutionKeyId: null,
+    institutionSignature: null,
+    keyId: null,
+    signature: null
+  };
+}
+
+// Decode the contents of a ledger message. Anything that does not parse is
+// kept in the index but has no decoded fields.
+function parseMessageContents(contents) {
+  const text = String(contents);
+  return text.trim().startsWith("{") ? parseEnvelope(text) : parseLegacy(text);
+}
+
+module.exports = {
+  ENVELOPE_VERSION,
+  ACTIONS,
+  TOMBSTONE_ACTIONS,
+  isTombstone,
+  encodeMessage,
+  signedPayload,
+  institutionPayload,
+  parseMessageContents
+};
@@ -0,0 +1,241 @@
+const mongoose = require("mongoose");
+const OutboxEntry = require("../models/outboxEntry");
+const RecordVersion = require("../models/recordVersion");
+const { encodeMessage } = require("./messages");
+
+// Transactional outbox for ledger writes. Routes save a record together with
+// an OutboxEntry holding the exact envelope to submit, in one MongoDB
+// transaction; OutboxWorker then submits pending entries in the background,
+// retrying with exponential backoff, and copies the transaction ID and
+// sequence number back onto the record's `anchor` field.
+
+// Run fn(session) in a transaction. MongoDB only supports transactions on a
+// replica set (Atlas, or `mongod --replSet` for local development).
+async function withTransaction(fn) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    session.endSession();
+  }
+}
+
+// Unsaved outbox entry for a v2 envelope (see ledger/messages.js). Pass a
+// signer for envelopes that must carry the server signature; those are never
+// batched. institutionSigner signs the record hash for the submitting
+// institution (see ledger/institutions.js); when the institution signs for
+// itself the entry waits for its signature. topicId is the topic to submit
+// to, the ledger's own when omitted.
+function createOutboxEntry({ recordType, recordId, action = "create", hashScheme, hash, issuer, principal, previousHash, reason, topicId }, signer = null, institutionSigner = null) {
+  return new OutboxEntry({
+    recordType,
+    recordId: String(recordId),
+    hash,
+    topicId: topicId || undefined,
+    signed: Boolean(signer),
+    institution: institutionSigner ? institutionSigner.institutionId : undefined,
+    awaitingSignature: Boolean(institutionSigner && !institutionSigner.sign),
+    message: encodeMessage({
+      recordType,
+      recordId,
+      action,
+      hashScheme,
+      hash,
+      issuer,
+      principal,
+      previousHash,
+      reason
+    }, signer, institutionSigner)
+  });
+}
+
+// Submission is at-least-once: if the ledger accepts a message but the
+// outbox entry cannot be marked anchored, the message is submitted again on
+// the next attempt. A duplicate anchor is harmless, a missing one is not.
+class OutboxWorker {
+  constructor({
+    ledger,
+    batcher = null,
+    models = {},
+    pollMs = 1000,
+    maxAttempts = 8,
+    baseDelayMs = 2000,
+    maxDelayMs = 5 * 60 * 1000,
+    lockMs = 60 * 1000,
+    claimLimit = 50
+  }) {
+    this.ledger = ledger;
+    this.batcher = batcher;
+    this.models = models;
+    this.pollMs = pollMs;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.lockMs = lockMs;
+    this.claimLimit = claimLimit;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.schedule(0);
+  }
+
+  schedule(delay) {
+    if (!this.running) return;
+    this.timer = setTimeout(() => this.poll(), delay);
+  }
+
+  async poll() {
+    this.timer = null;
+    let claimed = [];
+    try {
+      claimed = await this.claim();
+      if (this.batcher) {
+        // Submit together so the entries can share a Merkle batch
+        await Promise.all(claimed.map(entry => this.process(entry)));
+      } else {
+        for (const entry of claimed) await this.process(entry);
+      }
+    } catch (err) {
+      console.error("Outbox poll failed:", err);
+    }
+    // Keep draining while there is work, otherwise wait for more
+    this.schedule(claimed.length > 0 ? 0 : this.pollMs);
+  }
+
+  // Lock due entries, oldest first, so that several server instances can
+  // share one outbox without submitting the same entry at the same time. An
+  // entry is held back while an earlier one for the same record is not
+  // anchored yet (waiting, backing off, in flight or failed), so a record's
+  // versions reach the ledger in order, also once a failed one is retried.
+  async claim() {
+    const now = new Date();
+    const due = {
+      status: "pending",
+      awaitingSignature: { $ne: true },
+      nextAttemptAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    };
+    const candidates = OutboxEntry.find(due)
+      .sort({ createdAt: 1, _id: 1 })
+      .select("_id recordType recordId createdAt")
+      .lean()
+      .cursor();
+
+    const claimed = [];
+    for await (const candidate of candidates) {
+      if (claimed.length >= this.claimLimit) break;
+      if (await this.hasEarlierUnanchored(candidate)) continue;
+
+      const entry = await OutboxEntry.findOneAndUpdate(
+        { _id: candidate._id, ...due },
+        { $set: { lockedUntil: new Date(now.getTime() + this.lockMs) } },
+        { new: true }
+      );
+      if (entry) claimed.push(entry); // otherwise claimed by another server
+    }
+    return claimed;
+  }
+
+  hasEarlierUnanchored({ _id, recordType, recordId, createdAt }) {
+    return OutboxEntry.exists({
+      recordType,
+      recordId,
+      status: { $in: ["pending", "failed"] },
+      $or: [{ createdAt: { $lt: createdAt } }, { createdAt, _id: { $lt: _id } }]
+    });
+  }
+
+  backoff(attempts) {
+    return Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempts - 1));
+  }
+
+  async process(entry) {
+    let submitted;
+    try {
+      submitted = entry.signed || !this.batcher
+        ? await this.ledger.submit(entry.message, entry.topicId || undefined)
+        : await this.batcher.enqueue(entry.message, entry);
+    } catch (err) {
+      return this.failAttempt(entry, err);
+    }
+
+    entry.set({
+      status: "anchored",
+      transactionId: submitted.transactionId,
+      sequenceNumber: submitted.sequenceNumber,
+      batchId: submitted.batchId ? String(submitted.batchId) : undefined,
+      anchoredAt: new Date(),
+      lockedUntil: null,
+      lastError: null
+    });
+    await entry.save();
+
+    await this.updateRecord(entry, {
+      status: "anchored",
+      transactionId: entry.transactionId,
+      sequenceNumber: entry.sequenceNumber,
+      batchId: entry.batchId,
+      anchoredAt: entry.anchoredAt,
+      error: null
+    });
+    await RecordVersion.updateMany(
+      { recordType: entry.recordType, recordId: entry.recordId, hash: entry.hash, transactionId: null },
+      { $set: { transactionId: entry.transactionId } }
+    );
+  }
+
+  async failAttempt(entry, err) {
+    const attempts = entry.attempts + 1;
+    const failed = attempts >= this.maxAttempts;
+    console.error(`Outbox entry ${entry._id} attempt ${attempts} failed:`, err.message);
+
+    entry.set({
+      status: failed ? "failed" : "pending",
+      attempts,
+      lastError: err.message,
+      nextAttemptAt: new Date(Date.now() + this.backoff(attempts)),
+      lockedUntil: null
+    });
+    await entry.save();
+
+    if (failed) await this.updateRecord(entry, { status: "failed", error: err.message });
+  }
+
+  // Only touch the record if this entry still anchors its current version;
+  // a newer version has its own entry
+  async updateRecord(entry, anchor) {
+    const Model = this.models[entry.recordType];
+    if (!Model) return;
+
+    const $set = {};
+    for (const [key, value] of Object.entries(anchor)) $set[`anchor.${key}`] = value;
+    await Model.updateOne({ _id: entry.recordId, "anchor.outboxId": entry._id }, { $set });
+  }
+
+  // Put a failed entry back in the queue with a fresh set of attempts
+  async retry(id) {
+    const entry = await OutboxEntry.findOneAndUpdate(
+      { _id: id, status: "failed" },
+      { $set: { status: "pending", attempts: 0, nextAttemptAt: new Date(), lockedUntil: null } },
+      { new: true }
+    );
+    if (entry) await this.updateRecord(entry, { status: "pending", error: null });
+    return entry;
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = { withTransaction, createOutboxEntry, OutboxWorker };
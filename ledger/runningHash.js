@@ -0,0 +1,55 @@
+const crypto = require("crypto");
+const { splitTimestamp } = require("./timestamp");
+
+// HCS running hash version 3, as computed by Hedera consensus nodes
+const RUNNING_HASH_VERSION = 3;
+const EMPTY_RUNNING_HASH = Buffer.alloc(48).toString("hex");
+
+function int64(value) {
+  const buf = Buffer.alloc(8);
+  buf.writeBigInt64BE(BigInt(value));
+  return buf;
+}
+
+function int32(value) {
+  const buf = Buffer.alloc(4);
+  buf.writeInt32BE(Number(value));
+  return buf;
+}
+
+function entityParts(entityId) {
+  const parts = String(entityId).split(".");
+  if (parts.length !== 3 || parts.some(p => !/^\d+$/.test(p))) {
+    throw new Error(`Invalid entity ID: ${entityId}`);
+  }
+  return parts;
+}
+
+function computeRunningHash({
+  previousRunningHash = EMPTY_RUNNING_HASH,
+  payerAccountId,
+  topicId,
+  consensusTimestamp,
+  sequenceNumber,
+  contents
+}) {
+  const { seconds, nanos } = splitTimestamp(consensusTimestamp);
+  const messageHash = crypto.createHash("sha384").update(Buffer.from(contents)).digest();
+
+  return crypto.createHash("sha384")
+    .update(Buffer.from(previousRunningHash, "hex"))
+    .update(int64(RUNNING_HASH_VERSION))
+    .update(Buffer.concat(entityParts(payerAccountId).map(int64)))
+    .update(Buffer.concat(entityParts(topicId).map(int64)))
+    .update(int64(seconds))
+    .update(int32(nanos))
+    .update(int64(sequenceNumber))
+    .update(messageHash)
+    .digest("hex");
+}
+
+module.exports = {
+  RUNNING_HASH_VERSION,
+  EMPTY_RUNNING_HASH,
+  computeRunningHash
+};
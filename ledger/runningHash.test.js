@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { computeRunningHash, EMPTY_RUNNING_HASH } = require("./runningHash");
+const { checkChain } = require("./integrity");
+const { encodeMessage } = require("./messages");
+
+// Version 3 running hash: sha384 over the previous running hash, int64
+// version, payer and topic shard/realm/num as int64s, int64 seconds, int32
+// nanos, int64 sequence number and the sha384 of the contents. Worked out
+// independently of runningHash.js.
+const VECTOR = {
+  previousRunningHash: "ab".repeat(48),
+  payerAccountId: "0.0.2",
+  topicId: "0.0.1001",
+  consensusTimestamp: "1700000000.000000123",
+  sequenceNumber: 7,
+  contents: "hello",
+  runningHash: "8d3eb5eb96224bbc270ada5e717b01fd7dfb7c7697eade7a38b9402c64df7394512ef5652e2296f3d6bcad3d4004b9b6"
+};
+
+test("computes the v3 running hash", () => {
+  const { runningHash, ...input } = VECTOR;
+  assert.strictEqual(computeRunningHash(input), runningHash);
+});
+
+test("starts the chain from the empty running hash", () => {
+  const { runningHash, previousRunningHash, ...input } = VECTOR;
+  assert.strictEqual(
+    computeRunningHash(input),
+    computeRunningHash({ ...input, previousRunningHash: EMPTY_RUNNING_HASH })
+  );
+});
+
+test("flags decoded columns that differ from the contents", () => {
+  const contents = encodeMessage({ recordType: "patient", recordId: "p1", hashScheme: 2, hash: "aa", issuer: "0.0.2" });
+  const msg = {
+    topicId: "0.0.1001",
+    sequenceNumber: 1,
+    consensusTimestamp: "1700000000.000000123",
+    transactionId: "0.0.2@1700000000.000000000",
+    contents,
+    envelopeVersion: 2,
+    type: "patient",
+    recordId: "p1",
+    action: "create",
+    hash: "aa",
+    hashScheme: 2,
+    issuer: "0.0.2"
+  };
+  msg.runningHash = computeRunningHash({ ...msg, payerAccountId: "0.0.2" });
+
+  assert.strictEqual(checkChain([msg]).valid, true);
+
+  const report = checkChain([{ ...msg, hash: "bb" }]);
+  assert.strictEqual(report.valid, false);
+  assert.strictEqual(report.counts.decoded, 1);
+  assert.match(report.issues[0].detail, /hash/);
+});
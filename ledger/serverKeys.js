@@ -0,0 +1,39 @@
+const crypto = require("crypto");
+const ServerKey = require("../models/serverKey");
+const { parseMessageContents } = require("./messages");
+const { keyIdOf } = require("./signing");
+
+// Registry of the keys the server signs with (see ledger/signing.js). The
+// current key is registered on start, and signed envelopes are checked
+// against the key they name, so tombstones stay verifiable after a restart
+// or a change of SERVER_SIGNING_KEY.
+
+async function registerServerKey(signer) {
+  try {
+    await ServerKey.updateOne(
+      { keyId: signer.keyId },
+      { $setOnInsert: { publicKey: signer.publicKey.export({ type: "spki", format: "pem" }) } },
+      { upsert: true }
+    );
+  } catch (err) {
+    if (err.code !== 11000) throw err; // registered by another server meanwhile
+  }
+}
+
+// keyId -> public key for the server keys named by these ledger messages,
+// always including the current signer's. A stored key whose ID does not
+// match it is ignored.
+async function loadServerKeys(messages, signer) {
+  const keys = new Map([[signer.keyId, signer.publicKey]]);
+  const keyIds = [...new Set(messages.map(msg => (parseMessageContents(msg.contents) || {}).keyId))]
+    .filter(keyId => keyId && !keys.has(keyId));
+  if (!keyIds.length) return keys;
+
+  for (const { keyId, publicKey } of await ServerKey.find({ keyId: { $in: keyIds } }).lean()) {
+    const key = crypto.createPublicKey(publicKey);
+    if (keyIdOf(key) === keyId) keys.set(keyId, key);
+  }
+  return keys;
+}
+
+module.exports = { registerServerKey, loadServerKeys };
@@ -0,0 +1,40 @@
+const crypto = require("crypto");
+
+// Server ed25519 key used to sign ledger envelopes such as revocation
+// tombstones. SERVER_SIGNING_KEY holds a PKCS#8 PEM private key. It is
+// required when NODE_ENV is "production"; elsewhere a throwaway key is
+// generated instead. Public keys are kept by ledger/serverKeys.js so earlier
+// signatures still verify.
+function keyIdOf(publicKey) {
+  const der = publicKey.export({ type: "spki", format: "der" });
+  return crypto.createHash("sha256").update(der).digest("hex").substring(0, 16);
+}
+
+function loadServerSigner(env = process.env) {
+  let privateKey;
+  if (env.SERVER_SIGNING_KEY) {
+    privateKey = crypto.createPrivateKey(env.SERVER_SIGNING_KEY.replace(/\\n/g, "\n"));
+  } else if (env.NODE_ENV === "production") {
+    throw new Error("SERVER_SIGNING_KEY must be set in production");
+  } else {
+    console.warn("⚠️ SERVER_SIGNING_KEY not set, using a temporary signing key.");
+    privateKey = crypto.generateKeyPairSync("ed25519").privateKey;
+  }
+  const publicKey = crypto.createPublicKey(privateKey);
+
+  return {
+    keyId: keyIdOf(publicKey),
+    publicKey,
+    sign: (payload) => crypto.sign(null, Buffer.from(payload), privateKey).toString("base64")
+  };
+}
+
+function verifySignature(publicKey, payload, signature) {
+  try {
+    return crypto.verify(null, Buffer.from(payload), publicKey, Buffer.from(signature, "base64"));
+  } catch (err) {
+    return false;
+  }
+}
+
+module.exports = { keyIdOf, loadServerSigner, verifySignature };
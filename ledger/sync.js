@@ -0,0 +1,174 @@
+const EventEmitter = require("events");
+const LedgerMessage = require("../models/ledgerMessage");
+const { parseMessageContents } = require("./messages");
+const { checkLink } = require("./integrity");
+const { toSortKey } = require("./timestamp");
+
+// Background worker that mirrors a ledger topic into MongoDB. On start it
+// resumes after the last stored sequence number, then keeps a single
+// subscription open and stores each message as it arrives. If the
+// subscription fails, or a message cannot be stored, the subscription is
+// closed and re-opened from the last stored message, so none is skipped. Each
+// message's running hash is checked against the one stored before it (see
+// ledger/integrity.js) and the result kept as chainStatus. Every stored
+// message is emitted as "message", shaped like a LedgerMessage document, in
+// sequence order (see ledger/feed.js).
+class LedgerSync extends EventEmitter {
+  constructor({ ledger, topicId = ledger.topicId, retryMs = 5000 }) {
+    super();
+    this.ledger = ledger;
+    this.topicId = String(topicId);
+    this.retryMs = retryMs;
+    this.lastSequenceNumber = 0;
+    this.lastConsensusTimestamp = null;
+    this.lastMessage = null;
+    this.subscription = null;
+    this.generation = 0; // bumped when a subscription is closed
+    this.retryTimer = null;
+    this.queue = Promise.resolve();
+    this.running = false;
+  }
+
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    const last = await LedgerMessage.findOne({ topicId: this.topicId })
+      .sort({ sequenceNumber: -1 })
+      .lean();
+    if (last) {
+      this.lastSequenceNumber = last.sequenceNumber;
+      this.lastConsensusTimestamp = last.consensusTimestamp;
+      this.lastMessage = last;
+    }
+
+    await this.backfillConsensusKeys();
+
+    console.log(`Ledger sync for topic ${this.topicId} resuming after sequence ${this.lastSequenceNumber}`);
+    this.subscribe();
+  }
+
+  subscribe() {
+    const generation = this.generation;
+    this.subscription = this.ledger.subscribe(
+      {
+        topicId: this.topicId,
+        fromSequence: this.lastSequenceNumber + 1,
+        startTime: this.lastConsensusTimestamp || 0
+      },
+      (msg) => {
+        // Store messages one at a time so lastSequenceNumber only moves
+        // forward. Messages still queued from a closed subscription are
+        // dropped; the next one delivers them again.
+        this.queue = this.queue.then(async () => {
+          if (generation !== this.generation) return;
+          try {
+            await this.store(msg);
+          } catch (err) {
+            console.error("Failed to store ledger message:", err);
+            this.restart();
+          }
+        });
+      },
+      (err) => {
+        console.error("Ledger sync subscription error:", err);
+        this.restart();
+      }
+    );
+  }
+
+  restart() {
+    if (!this.running || this.retryTimer) return;
+    this.generation++;
+    if (this.subscription) this.subscription.unsubscribe();
+    this.subscription = null;
+
+    this.retryTimer = setTimeout(async () => {
+      this.retryTimer = null;
+      await this.queue;
+      if (this.running) this.subscribe();
+    }, this.retryMs);
+  }
+
+  // Messages stored before LedgerMessage had a consensusKey
+  async backfillConsensusKeys() {
+    const missing = await LedgerMessage.find(
+      { topicId: this.topicId, consensusKey: null },
+      { consensusTimestamp: 1 }
+    ).lean();
+    if (!missing.length) return;
+    await LedgerMessage.bulkWrite(missing.map(({ _id, consensusTimestamp }) => ({
+      updateOne: { filter: { _id }, update: { $set: { consensusKey: toSortKey(consensusTimestamp) } } }
+    })));
+  }
+
+  async store(msg) {
+    if (msg.sequenceNumber <= this.lastSequenceNumber) return;
+
+    const parsed = parseMessageContents(msg.contents) || {};
+    const chain = checkLink(this.lastMessage, msg);
+    if (chain.status !== "valid" && chain.status !== "unverifiable") {
+      console.warn(`⚠️ Ledger sequence ${msg.sequenceNumber} on ${msg.topicId}: ${chain.status} (${chain.detail})`);
+    }
+    const stored = {
+      consensusTimestamp: msg.consensusTimestamp,
+      consensusKey: toSortKey(msg.consensusTimestamp),
+      timestamp: msg.timestamp,
+      runningHash: msg.runningHash,
+      transactionId: msg.transactionId,
+      contents: msg.contents,
+      envelopeVersion: parsed.version,
+      type: parsed.type,
+      recordId: parsed.recordId,
+      action: parsed.action,
+      hash: parsed.hash,
+      hashScheme: parsed.hashScheme,
+      issuer: parsed.issuer,
+      principal: parsed.principal,
+      previousHash: parsed.previousHash,
+      reason: parsed.reason,
+      institution: parsed.institution,
+      institutionKeyId: parsed.institutionKeyId,
+      keyId: parsed.keyId,
+      chainStatus: chain.status
+    };
+    await LedgerMessage.updateOne(
+      { topicId: msg.topicId, sequenceNumber: msg.sequenceNumber },
+      { $set: stored },
+      { upsert: true }
+    );
+
+    this.lastSequenceNumber = msg.sequenceNumber;
+    this.lastConsensusTimestamp = msg.consensusTimestamp;
+    this.lastMessage = msg;
+    this.emit("message", { topicId: msg.topicId, sequenceNumber: msg.sequenceNumber, ...stored });
+  }
+
+  // Resolves with true once every message up to sequenceNumber is stored, or
+  // with false if that takes longer than timeoutMs
+  waitFor(sequenceNumber, timeoutMs) {
+    if (this.lastSequenceNumber >= sequenceNumber) return Promise.resolve(true);
+    return new Promise((resolve) => {
+      const done = (caughtUp) => {
+        clearTimeout(timer);
+        this.off("message", onMessage);
+        resolve(caughtUp);
+      };
+      const onMessage = () => {
+        if (this.lastSequenceNumber >= sequenceNumber) done(true);
+      };
+      const timer = setTimeout(() => done(false), timeoutMs);
+      this.on("message", onMessage);
+    });
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    if (this.subscription) this.subscription.unsubscribe();
+    this.subscription = null;
+  }
+}
+
+module.exports = { LedgerSync };
@@ -0,0 +1,44 @@
+// Consensus timestamps are kept as "seconds.nanos" strings (the mirror node
+// format) so no precision is lost. The seconds are not padded, so compare
+// them with toNanos, or as strings only in their sort key form.
+
+function splitTimestamp(consensusTimestamp) {
+  const [seconds, nanos = "0"] = String(consensusTimestamp).split(".");
+  return { seconds, nanos: nanos.padEnd(9, "0").substring(0, 9) };
+}
+
+function formatTimestamp(seconds, nanos) {
+  return `${seconds}.${String(nanos).padStart(9, "0")}`;
+}
+
+function fromNanos(totalNanos) {
+  const ns = BigInt(totalNanos);
+  return formatTimestamp(ns / 1000000000n, ns % 1000000000n);
+}
+
+function toNanos(consensusTimestamp) {
+  const { seconds, nanos } = splitTimestamp(consensusTimestamp);
+  return BigInt(seconds) * 1000000000n + BigInt(nanos);
+}
+
+// Fixed-width "seconds.nanos", seconds zero-padded to SORT_KEY_SECONDS
+// digits, which sorts and compares in time order as a plain string
+const SORT_KEY_SECONDS = 12;
+
+function toSortKey(consensusTimestamp) {
+  const { seconds, nanos } = splitTimestamp(consensusTimestamp);
+  return `${seconds.padStart(SORT_KEY_SECONDS, "0")}.${nanos}`;
+}
+
+function toISOString(consensusTimestamp) {
+  return new Date(Number(toNanos(consensusTimestamp) / 1000000n)).toISOString();
+}
+
+module.exports = {
+  splitTimestamp,
+  formatTimestamp,
+  fromNanos,
+  toNanos,
+  toSortKey,
+  toISOString
+};
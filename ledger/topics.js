@@ -0,0 +1,279 @@
+const EventEmitter = require("events");
+const LedgerTopic = require("../models/ledgerTopic");
+const LedgerMessage = require("../models/ledgerMessage");
+const OutboxEntry = require("../models/outboxEntry");
+const { LedgerSync } = require("./sync");
+const { withTransaction } = require("./outbox");
+const { encodeMessage } = require("./messages");
+const { RUNNING_HASH_VERSION, EMPTY_RUNNING_HASH } = require("./runningHash");
+
+// Topic registry. Every topic the server anchors on is registered in
+// LedgerTopic and mirrored by its own LedgerSync, so reads can span all of
+// them. New anchors go to the active topic of the most specific scope that
+// has one: the submitting institution, then the record type, then the
+// default. On first start the ledger's own topic (HEDERA_TOPIC_ID) becomes
+// the default; after that the registry is the source of truth.
+//
+// Rotating a scope's topic retires it in favour of a new one and writes a
+// server-signed "link" envelope on each: the old topic's names the new topic
+// and commits to the old topic's last running hash, the new topic's names
+// the old topic and commits to the running hash of the first link. Either
+// topic thus leads to the other. Each step is recorded on the old topic
+// before the next one is taken, so an interrupted rotation resumes where it
+// stopped when the scope is rotated again. Like the outbox, a link is
+// submitted at least once. The old topic's link is only written once its
+// sync has caught up with the topic, so that it commits to the topic's
+// latest running hash. Pending anchors for the old topic move to the new one
+// with the switch, and those for a retired topic to its scope's fallback.
+//
+// Every message stored by any of the syncs is emitted as "message".
+
+function linkRefOf(link) {
+  return {
+    topicId: String(link.topicId),
+    sequenceNumber: link.sequenceNumber,
+    transactionId: link.transactionId,
+    runningHash: link.runningHash
+  };
+}
+
+function scopeKeyOf({ recordType, institution } = {}) {
+  if (institution) return `institution:${institution}`;
+  if (recordType) return `type:${recordType}`;
+  return "default";
+}
+
+class TopicRegistry extends EventEmitter {
+  // signer signs the link envelopes; refreshMs is how often topics
+  // registered or rotated by other servers are picked up; catchUpMs is how
+  // long a rotation waits for the old topic's sync to catch up
+  constructor({ ledger, signer, refreshMs = 30 * 1000, catchUpMs = 30 * 1000 }) {
+    super();
+    this.ledger = ledger;
+    this.signer = signer;
+    this.refreshMs = refreshMs;
+    this.catchUpMs = catchUpMs;
+    this.syncs = new Map(); // topicId -> LedgerSync
+    this.active = new Map(); // scopeKey -> topicId
+    this.timer = null;
+    this.onMessage = (msg) => this.emit("message", msg);
+  }
+
+  async start() {
+    if (!(await LedgerTopic.exists({}))) {
+      try {
+        await LedgerTopic.create({ topicId: String(this.ledger.topicId), scopeKey: "default" });
+      } catch (err) {
+        if (err.code !== 11000) throw err; // registered by another server meanwhile
+      }
+    }
+    await this.refresh();
+    this.timer = setInterval(() => {
+      this.refresh().catch(err => console.error("Failed to refresh topic registry:", err));
+    }, this.refreshMs);
+    this.timer.unref();
+  }
+
+  async refresh() {
+    const active = new Map();
+    for (const topic of await LedgerTopic.find().lean()) {
+      if (topic.status === "active") active.set(topic.scopeKey, topic.topicId);
+      await this.track(topic.topicId);
+    }
+    this.active = active;
+  }
+
+  async track(topicId) {
+    if (this.syncs.has(topicId)) return;
+    const sync = new LedgerSync({ ledger: this.ledger, topicId });
+    sync.on("message", this.onMessage);
+    this.syncs.set(topicId, sync);
+    await sync.start();
+  }
+
+  // The default topic alone until start() has loaded the registry
+  topicIds() {
+    return this.syncs.size ? [...this.syncs.keys()] : [this.defaultTopicId()];
+  }
+
+  // Query matching every registered topic, for LedgerMessage filters
+  query() {
+    return { $in: this.topicIds() };
+  }
+
+  has(topicId) {
+    return this.topicIds().includes(String(topicId));
+  }
+
+  sync(topicId) {
+    return this.syncs.get(String(topicId)) || null;
+  }
+
+  defaultTopicId() {
+    return this.active.get("default") || String(this.ledger.topicId);
+  }
+
+  // The topic a new anchor for this record type and institution goes to
+  resolve({ recordType, institution } = {}) {
+    return (institution && this.active.get(scopeKeyOf({ institution }))) ||
+      (recordType && this.active.get(scopeKeyOf({ recordType }))) ||
+      this.defaultTopicId();
+  }
+
+  async createOnLedger({ memo, adminKey, submitKey }) {
+    const topicId = await this.ledger.createTopic({ memo, adminKey, submitKey });
+    const operatorKey = this.ledger.operatorPublicKey || this.ledger.operatorAccountId;
+    return {
+      topicId: String(topicId),
+      memo: memo || undefined,
+      adminKey: adminKey ? operatorKey : undefined,
+      submitKey: submitKey ? operatorKey : undefined
+    };
+  }
+
+  // Create a topic and make it the active one for a scope that has none.
+  // Resolves with null when the scope already has an active topic.
+  async create({ memo, adminKey = false, submitKey = false, scope = {}, principal = null }) {
+    const scopeKey = scopeKeyOf(scope);
+    if (await LedgerTopic.exists({ scopeKey, status: "active" })) return null;
+
+    const created = await this.createOnLedger({ memo, adminKey, submitKey });
+    let topic;
+    try {
+      topic = await LedgerTopic.create({ ...created, scope, scopeKey, createdBy: principal });
+    } catch (err) {
+      if (err.code === 11000) return null;
+      throw err;
+    }
+
+    this.active.set(scopeKey, topic.topicId);
+    await this.track(topic.topicId);
+    return topic;
+  }
+
+  async submitLink(onTopicId, toTopicId, hash, principal) {
+    return this.ledger.submit(encodeMessage({
+      recordType: "topic",
+      recordId: toTopicId,
+      action: "link",
+      hashScheme: RUNNING_HASH_VERSION,
+      hash,
+      issuer: this.ledger.operatorAccountId,
+      principal
+    }, this.signer), onTopicId);
+  }
+
+  // Replace a scope's active topic with a new one, linking the two. Resolves
+  // with { retired, topic }, or null when the scope has no active topic. A
+  // rotation already in progress is finished with the options it was started
+  // with.
+  async rotate({ memo, adminKey = false, submitKey = false, scope = {}, principal = null }) {
+    const scopeKey = scopeKeyOf(scope);
+    let current = await LedgerTopic.findOne({ scopeKey, status: "active" });
+    if (!current) return null;
+
+    if (!current.rotation || !current.rotation.topicId) {
+      const created = await this.createOnLedger({ memo, adminKey, submitKey });
+      const started = await LedgerTopic.findOneAndUpdate(
+        { _id: current._id, status: "active", "rotation.topicId": null },
+        { $set: { rotation: { ...created, links: [], startedBy: principal, startedAt: new Date() } } },
+        { new: true }
+      );
+      // Another server started or finished a rotation meanwhile
+      current = started || await LedgerTopic.findOne({ _id: current._id, status: "active" });
+      if (!current) return null;
+    }
+
+    const { rotation } = current;
+    if (rotation.links.length < 1) {
+      const { sequenceNumber } = await this.ledger.topicInfo(current.topicId);
+      const sync = this.sync(current.topicId);
+      if (!sync || !(await sync.waitFor(sequenceNumber, this.catchUpMs))) {
+        throw new Error(`Sync of topic ${current.topicId} has not caught up to sequence ${sequenceNumber}`);
+      }
+      const last = await LedgerMessage.findOne({ topicId: current.topicId }).sort({ sequenceNumber: -1 }).lean();
+      const forward = await this.submitLink(
+        current.topicId,
+        rotation.topicId,
+        last ? last.runningHash : EMPTY_RUNNING_HASH,
+        principal
+      );
+      rotation.links.push(linkRefOf(forward));
+      await current.save();
+    }
+    if (rotation.links.length < 2) {
+      const backward = await this.submitLink(rotation.topicId, current.topicId, rotation.links[0].runningHash, principal);
+      rotation.links.push(linkRefOf(backward));
+      await current.save();
+    }
+
+    const topic = new LedgerTopic({
+      topicId: rotation.topicId,
+      memo: rotation.memo,
+      adminKey: rotation.adminKey,
+      submitKey: rotation.submitKey,
+      scope: current.scope,
+      scopeKey,
+      predecessorTopicId: current.topicId,
+      links: rotation.links.map(link => link.toObject()),
+      createdBy: rotation.startedBy
+    });
+    current.set({ status: "retired", retiredAt: new Date(), successorTopicId: topic.topicId, rotation: undefined });
+    // Entries without a topic go to the ledger's own
+    const retargeted = current.topicId === String(this.ledger.topicId)
+      ? { $in: [current.topicId, null] }
+      : current.topicId;
+    await withTransaction(async (session) => {
+      await current.save({ session });
+      await topic.save({ session });
+      await OutboxEntry.updateMany(
+        { topicId: retargeted, status: { $in: ["pending", "failed"] } },
+        { $set: { topicId: topic.topicId } },
+        { session }
+      );
+    });
+
+    this.active.set(scopeKey, topic.topicId);
+    await this.track(topic.topicId);
+    return { retired: current, topic };
+  }
+
+  // Stop anchoring on a non-default topic; its scope falls back to the next
+  // one up, and so do the anchors still queued for it. Resolves with null
+  // when there is no such active topic.
+  async retire(topicId) {
+    const topic = await LedgerTopic.findOne({ topicId: String(topicId), status: "active", scopeKey: { $ne: "default" } });
+    if (!topic) return null;
+
+    this.active.delete(topic.scopeKey);
+    topic.set({ status: "retired", retiredAt: new Date() });
+    const queued = { topicId: topic.topicId, status: { $in: ["pending", "failed"] } };
+    await withTransaction(async (session) => {
+      await topic.save({ session });
+      const entries = await OutboxEntry.find(queued, { recordType: 1, institution: 1 }).session(session).lean();
+      const targets = new Map();
+      for (const { recordType, institution = null } of entries) {
+        targets.set(`${recordType}|${institution}`, { recordType, institution });
+      }
+      for (const { recordType, institution } of targets.values()) {
+        await OutboxEntry.updateMany(
+          { ...queued, recordType, institution },
+          { $set: { topicId: this.resolve({ recordType, institution }) } },
+          { session }
+        );
+      }
+    });
+    return topic;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    for (const sync of this.syncs.values()) {
+      sync.off("message", this.onMessage);
+      sync.stop();
+    }
+  }
+}
+
+module.exports = { scopeKeyOf, TopicRegistry };
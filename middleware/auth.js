@@ -0,0 +1,48 @@
+const { verifyJwt } = require("../auth/jwt");
+const { hashApiKey, toPrincipal } = require("../auth/principals");
+
+// Every request must identify itself with an X-API-Key header or an
+// "Authorization: Bearer <jwt>" header; the principal is set on
+// req.principal. Requests without valid credentials get a 401.
+function authenticate({ apiKeys = new Map(), jwtSecret = null } = {}) {
+  if (apiKeys.size === 0 && !jwtSecret) {
+    console.warn("⚠️ No API_KEYS_FILE or JWT_SECRET configured, every request will be rejected.");
+  }
+
+  return (req, res, next) => {
+    const apiKey = req.get("X-API-Key");
+    const authorization = req.get("Authorization") || "";
+
+    if (apiKey) {
+      const principal = apiKeys.get(hashApiKey(apiKey));
+      if (!principal) return res.status(401).json({ error: "Invalid API key" });
+      req.principal = { ...principal, method: "api-key" };
+      return next();
+    }
+
+    if (authorization.startsWith("Bearer ")) {
+      if (!jwtSecret) return res.status(401).json({ error: "Bearer tokens are not enabled" });
+      try {
+        const claims = verifyJwt(authorization.slice("Bearer ".length).trim(), jwtSecret);
+        req.principal = { ...toPrincipal({ id: claims.sub, role: claims.role, institution: claims.inst }), method: "jwt" };
+      } catch (err) {
+        return res.status(401).json({ error: `Invalid token: ${err.message}` });
+      }
+      return next();
+    }
+
+    res.status(401).json({ error: "Authentication required" });
+  };
+}
+
+// Admins may do anything; everyone else needs one of the given roles
+function requireRole(...roles) {
+  return (req, res, next) => {
+    const { role } = req.principal || {};
+    if (role === "admin" || roles.includes(role)) return next();
+    const allowed = [...new Set(["admin", ...roles])];
+    res.status(403).json({ error: `This action needs one of the roles: ${allowed.join(", ")}` });
+  };
+}
+
+module.exports = { authenticate, requireRole };
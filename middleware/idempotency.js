@@ -0,0 +1,126 @@
+const crypto = require("crypto");
+const IdempotencyKey = require("../models/idempotencyKey");
+const { canonicalStringify } = require("../records/hashing");
+const { isEnabled: encryptionEnabled, sealSecret, openSecret } = require("../records/encryption");
+
+// Idempotency-Key support for requests that change state. The first response
+// to a key (anything but a 5xx) is stored and replayed for repeats, so a
+// client can safely retry a create or update after a timeout. Keys are scoped
+// to the caller, method and path; reusing one for a different body is
+// rejected. Must run after authentication. Stored responses can hold
+// decrypted record fields, so they are sealed with the master key when one
+// is configured (see records/encryption.js), and the IDs of the records
+// they contain are kept alongside so an erasure can find them.
+const MUTATING_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+const MAX_KEY_LENGTH = 255;
+
+function requestHash(req) {
+  return crypto.createHash("sha256").update(canonicalStringify(req.body || {})).digest("hex");
+}
+
+function responseContext(saved) {
+  return `idempotency:${saved._id}`;
+}
+
+// IDs of the records in a response: the body itself or its top-level values
+function responseRecordIds(body) {
+  const ids = new Set();
+  for (const value of [body, ...Object.values(body || {})]) {
+    if (value && typeof value === "object" && value._id) ids.add(String(value._id));
+  }
+  return [...ids];
+}
+
+function storedResponse(body, saved) {
+  const copy = JSON.parse(JSON.stringify(body));
+  return {
+    recordIds: responseRecordIds(copy),
+    ...(encryptionEnabled()
+      ? { sealedResponse: sealSecret(JSON.stringify(copy), responseContext(saved)) }
+      : { responseBody: copy })
+  };
+}
+
+function replayedBody(existing) {
+  return existing.sealedResponse
+    ? JSON.parse(openSecret(existing.sealedResponse, responseContext(existing)))
+    : existing.responseBody;
+}
+
+// Store the response before sending it, so a repeat arriving right after
+// the response is replayed rather than told the request is in progress
+function captureResponse(res, saved) {
+  const send = res.json.bind(res);
+  res.json = (body) => {
+    const stored = res.statusCode < 500
+      ? IdempotencyKey.updateOne({ _id: saved._id }, {
+        $set: {
+          status: "completed",
+          responseStatus: res.statusCode,
+          ...storedResponse(body, saved)
+        }
+      }).exec()
+      : IdempotencyKey.deleteOne({ _id: saved._id }).exec(); // let the client retry
+
+    stored
+      .catch(err => console.error("Failed to store idempotent response:", err))
+      .then(() => send(body));
+    return res;
+  };
+}
+
+// A request that is still "in progress" after staleMs is assumed to have died
+// with the server, and the next repeat takes it over
+function idempotency({ staleMs = 60 * 1000 } = {}) {
+  return async (req, res, next) => {
+    const key = req.get("Idempotency-Key");
+    if (!key || !MUTATING_METHODS.includes(req.method)) return next();
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+    }
+
+    const scope = {
+      key,
+      principalId: req.principal ? req.principal.id : null,
+      method: req.method,
+      path: req.path
+    };
+    const hash = requestHash(req);
+
+    try {
+      let saved;
+      try {
+        saved = await IdempotencyKey.create({ ...scope, requestHash: hash });
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+
+        const existing = await IdempotencyKey.findOne(scope).lean();
+        if (existing && existing.requestHash !== hash) {
+          return res.status(422).json({ error: "Idempotency-Key was already used for a different request" });
+        }
+        if (existing && existing.status === "completed") {
+          res.set("Idempotent-Replayed", "true");
+          return res.status(existing.responseStatus).json(replayedBody(existing));
+        }
+        if (existing && Date.now() - existing.lockedAt.getTime() >= staleMs) {
+          saved = await IdempotencyKey.findOneAndUpdate(
+            { _id: existing._id, status: "in-progress", lockedAt: existing.lockedAt },
+            { $set: { lockedAt: new Date() } },
+            { new: true }
+          );
+        }
+        if (!saved) {
+          return res.status(409).json({ error: "A request with this Idempotency-Key is still in progress" });
+        }
+      }
+
+      captureResponse(res, saved);
+      next();
+    } catch (err) {
+      console.error("Idempotency check failed:", err);
+      res.status(500).json({ error: "Failed to check Idempotency-Key" });
+    }
+  };
+}
+
+module.exports = { idempotency };
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+const anchorStatus = require("./anchorStatus");
+const principalRef = require("./principalRef");
+
+// A stored allocation decision (see allocation/decision.js). The inputs'
+// encrypted organ and patient fields are kept out of `inputs`: they are in
+// `encrypted`, sealed per key with the allocation's data key, or in
+// `sensitiveInputs` while encryption is off. Erasing a patient removes their
+// values and lists them in erasedPatients, after which the decision hash can
+// no longer be recomputed.
+const allocationSchema = new mongoose.Schema({
+  organId: { type: String, required: true },
+  inputs: { type: mongoose.Schema.Types.Mixed, required: true },
+  sensitiveInputs: mongoose.Schema.Types.Mixed,
+  encrypted: Object,
+  erasedPatients: [String],
+  result: { type: mongoose.Schema.Types.Mixed, required: true },
+  decisionHash: { type: String, required: true },
+  anchor: anchorStatus,
+  createdBy: principalRef,
+  createdAt: { type: Date, default: Date.now }
+}, { toJSON: { transform: (doc, ret) => { delete ret.encrypted; delete ret.sensitiveInputs; return ret; } } });
+
+allocationSchema.index({ organId: 1, createdAt: -1 });
+allocationSchema.index({ "inputs.candidates.patientId": 1 });
+
+module.exports = mongoose.model("Allocation", allocationSchema);
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// A batch of ledger messages anchored as a single Merkle root (see
+// ledger/batcher.js). Each leaf keeps the exact message it stands for and
+// its inclusion path, so the record can be verified against the root.
+const anchorBatchSchema = new mongoose.Schema({
+  root: String,
+  treeVersion: Number,
+  size: Number,
+  status: { type: String, enum: ["pending", "anchored", "failed"], default: "pending" },
+  topicId: String, // absent on batches from before topics were registered (see ledger/topics.js)
+  transactionId: String,
+  sequenceNumber: Number,
+  error: String,
+  leaves: [{
+    _id: false,
+    index: Number,
+    recordType: String,
+    recordId: String,
+    hash: String,
+    message: String,
+    proof: [{ _id: false, position: String, hash: String }]
+  }],
+  createdAt: { type: Date, default: Date.now },
+  anchoredAt: Date
+});
+
+anchorBatchSchema.index({ "leaves.recordId": 1, "leaves.hash": 1 });
+
+module.exports = mongoose.model("AnchorBatch", anchorBatchSchema);
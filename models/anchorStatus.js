@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+
+// Anchoring state of a record's current version, embedded in every anchored
+// model and kept up to date by the outbox worker (see ledger/outbox.js)
+module.exports = new mongoose.Schema({
+  status: { type: String, enum: ["pending", "anchored", "failed"], default: "pending" },
+  outboxId: mongoose.Schema.Types.ObjectId,
+  transactionId: String,
+  sequenceNumber: Number,
+  batchId: String,
+  error: String,
+  anchoredAt: Date
+}, { _id: false });
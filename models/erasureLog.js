@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+const principalRef = require("./principalRef");
+
+// Audit trail of personal data erasures (see records/erasure.js). Holds
+// nothing about the person: only which record was erased, by whom, why and
+// what was shredded along with it.
+const erasureLogSchema = new mongoose.Schema({
+  recordType: { type: String, required: true },
+  recordId: { type: String, required: true, index: true },
+  reason: { type: String, required: true },
+  erasedHash: String, // last anchored hash, retired by the "erase" tombstone
+  outboxId: mongoose.Schema.Types.ObjectId, // the tombstone's outbox entry
+  principal: principalRef,
+  versionsShredded: Number,
+  allocationsShredded: Number, // allocations whose candidate inputs for the record were removed
+  responsesDeleted: Number, // stored Idempotency-Key responses holding the record
+  waitlistEntriesDelisted: Number,
+  erasedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model("ErasureLog", erasureLogSchema);
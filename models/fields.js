@@ -0,0 +1,63 @@
+// Field rules for the record schemas in this directory, kept free of
+// mongoose so records/hashing.js and the offline verifier can use the hashed
+// field lists without a database.
+
+const BLOOD_TYPES = ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"];
+const ORGAN_TYPES = ["heart", "lung", "liver", "kidney", "pancreas", "intestine"];
+const AGE_RANGE = { min: 0, max: 120 };
+
+// Identifier of the donor in the procurement organization's own system
+const DONOR_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._:-]{0,63}$/;
+
+// Fields a client may set when creating or amending a record. Everything
+// else is either managed by the server or rejected.
+const INPUT_FIELDS = {
+  patient: ["name", "bloodType", "age", "organNeeded"],
+  organ: ["type", "bloodType", "donorId"]
+};
+
+// Fields encrypted at rest (see records/encryption.js). Hashing and
+// validation always see the decrypted values.
+const ENCRYPTED_FIELDS = {
+  patient: ["name", "bloodType", "age", "organNeeded"],
+  organ: ["bloodType", "donorId"],
+  version: ["fields"] // snapshots of the above, see models/recordVersion.js
+};
+
+// Fields (and their types) hashed for each record type, by hash scheme
+// version (see records/hashing.js). A record anchored under an older scheme
+// must still hash the same after the schema gains fields, so add a new
+// version instead of editing an existing one. Record types that no earlier
+// anchor used may be added to any version.
+const HASHED_FIELDS = {
+  patient: {
+    0: { name: "string", bloodType: "string", age: "number" },
+    1: { name: "string", bloodType: "string", age: "number" },
+    2: { name: "string", bloodType: "string", age: "number" }
+  },
+  organ: {
+    0: { type: "string", bloodType: "string", donorId: "string" },
+    1: { type: "string", bloodType: "string", donorId: "string" },
+    2: { type: "string", bloodType: "string", donorId: "string" }
+  },
+  waitlist: {
+    2: {
+      patientId: "string",
+      organType: "string",
+      status: "string",
+      urgency: "string",
+      listedAt: "date",
+      statusChangedAt: "date"
+    }
+  }
+};
+
+module.exports = {
+  BLOOD_TYPES,
+  ORGAN_TYPES,
+  AGE_RANGE,
+  DONOR_ID_PATTERN,
+  INPUT_FIELDS,
+  ENCRYPTED_FIELDS,
+  HASHED_FIELDS
+};
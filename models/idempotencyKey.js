@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// First response to a request sent with an Idempotency-Key header (see
+// middleware/idempotency.js). Keys expire after a day.
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  principalId: String,
+  method: { type: String, required: true },
+  path: { type: String, required: true },
+  requestHash: { type: String, required: true },
+  status: { type: String, enum: ["in-progress", "completed"], default: "in-progress" },
+  lockedAt: { type: Date, default: Date.now },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed, // only when no master key is configured
+  sealedResponse: Object, // response body sealed with the master key
+  recordIds: [String], // records in the response, see middleware/idempotency.js
+  createdAt: { type: Date, default: Date.now, expires: 24 * 60 * 60 }
+});
+
+idempotencyKeySchema.index({ key: 1, principalId: 1, method: 1, path: 1 }, { unique: true });
+idempotencyKeySchema.index({ recordIds: 1 });
+
+module.exports = mongoose.model("IdempotencyKey", idempotencyKeySchema);
@@ -0,0 +1,22 @@
+// Mongo models shared by every server entry point, plus the field rules and
+// request validation they are built on
+module.exports = {
+  Patient: require("./patient"),
+  Organ: require("./organ"),
+  WaitlistEntry: require("./waitlistEntry"),
+  Allocation: require("./allocation"),
+  RecordVersion: require("./recordVersion"),
+  LedgerMessage: require("./ledgerMessage"),
+  LedgerTopic: require("./ledgerTopic"),
+  AnchorBatch: require("./anchorBatch"),
+  OutboxEntry: require("./outboxEntry"),
+  IdempotencyKey: require("./idempotencyKey"),
+  Institution: require("./institution"),
+  ErasureLog: require("./erasureLog"),
+  WebhookSubscription: require("./webhookSubscription"),
+  WebhookDelivery: require("./webhookDelivery"),
+  IntegrityAudit: require("./integrityAudit"),
+  ServerKey: require("./serverKey"),
+  ...require("./fields"),
+  ...require("./validation")
+};
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// A hospital or procurement organization and its ed25519 signing keys (see
+// ledger/institutions.js). Exactly one key is active at a time; rotated keys
+// are kept as "retired" so older signatures still verify, and revoked keys
+// invalidate every signature made with them. A key is either registered by
+// the institution, which keeps the private key and signs its own messages,
+// or generated and held by the server, sealed with the master key (see
+// records/encryption.js). Private keys are never returned.
+const institutionKeySchema = new mongoose.Schema({
+  keyId: { type: String, required: true },
+  publicKey: { type: String, required: true }, // SPKI PEM
+  custody: { type: String, enum: ["institution", "server"], default: "server" },
+  sealedPrivateKey: { type: Object, select: false }, // PKCS#8 PEM, sealed with the master key
+  privateKey: { type: String, select: false }, // PKCS#8 PEM, only when no master key is configured
+  status: { type: String, enum: ["active", "retired", "revoked"], default: "active" },
+  createdAt: { type: Date, default: Date.now },
+  retiredAt: Date,
+  revokedAt: Date,
+  revocationReason: String
+}, { _id: false });
+
+const institutionSchema = new mongoose.Schema({
+  institutionId: { type: String, required: true, unique: true, trim: true },
+  name: { type: String, required: true, trim: true },
+  keys: [institutionKeySchema],
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: {
+    transform: (doc, ret) => {
+      for (const key of ret.keys || []) {
+        delete key.privateKey;
+        delete key.sealedPrivateKey;
+      }
+      return ret;
+    }
+  }
+});
+
+module.exports = mongoose.model("Institution", institutionSchema);
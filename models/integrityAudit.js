@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// One run of full verification (see records/audits.js). Only the records
+// that failed are kept, together with the counts and how the run differs
+// from the one before it.
+const failureSchema = new mongoose.Schema({
+  record: String,
+  id: String,
+  status: String,
+  computedHash: String
+}, { _id: false });
+
+const integrityAuditSchema = new mongoose.Schema({
+  trigger: { type: String, enum: ["scheduled", "manual"], required: true },
+  slot: Number, // scheduling interval a scheduled run belongs to, so only one server runs it
+  status: { type: String, enum: ["running", "completed", "failed"], default: "running" },
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: Date,
+  error: String,
+  summary: {
+    checked: Number,
+    failing: Number,
+    byStatus: mongoose.Schema.Types.Mixed // { valid: n, invalid: n, revoked: n, erased: n }
+  },
+  chain: { // running-hash check of the whole topic (see ledger/integrity.js)
+    checked: Number,
+    valid: Boolean,
+    counts: mongoose.Schema.Types.Mixed
+  },
+  failures: [failureSchema],
+  previousAuditId: mongoose.Schema.Types.ObjectId,
+  diff: {
+    newlyFailing: [failureSchema],
+    recovered: [failureSchema],
+    stillFailing: Number
+  }
+});
+
+integrityAuditSchema.index({ startedAt: -1 });
+integrityAuditSchema.index({ slot: 1 }, { unique: true, partialFilterExpression: { slot: { $type: "number" } } });
+
+module.exports = mongoose.model("IntegrityAudit", integrityAuditSchema);
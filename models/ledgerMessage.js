@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// Local mirror of every message on the ledger topic(s), kept up to date by
+// ledger/sync.js so routes never have to replay the topic themselves.
+const ledgerMessageSchema = new mongoose.Schema({
+  topicId: { type: String, required: true },
+  sequenceNumber: { type: Number, required: true },
+  consensusTimestamp: { type: String, required: true },
+  consensusKey: String, // sortable form of consensusTimestamp, see ledger/timestamp.js
+  timestamp: Date,
+  runningHash: String,
+  transactionId: String,
+  contents: String,
+  // Decoded fields (see ledger/messages.js)
+  envelopeVersion: Number,
+  type: String,
+  recordId: String,
+  action: String,
+  hash: String,
+  hashScheme: Number,
+  issuer: String,
+  principal: { _id: false, id: String, role: String, institution: String },
+  previousHash: String,
+  reason: String,
+  institution: String,
+  institutionKeyId: String,
+  keyId: String,
+  // Running-hash check made when the message was synced (see ledger/integrity.js)
+  chainStatus: String
+});
+
+ledgerMessageSchema.index({ topicId: 1, sequenceNumber: 1 }, { unique: true });
+ledgerMessageSchema.index({ hash: 1 });
+ledgerMessageSchema.index({ type: 1, recordId: 1 });
+// Filters of GET /logs (see ledger/logQuery.js)
+ledgerMessageSchema.index({ topicId: 1, type: 1, consensusKey: 1 });
+ledgerMessageSchema.index({ topicId: 1, institution: 1, consensusKey: 1 });
+ledgerMessageSchema.index({ topicId: 1, consensusKey: 1 });
+
+module.exports = mongoose.model("LedgerMessage", ledgerMessageSchema);
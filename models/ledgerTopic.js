@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+const principalRef = require("./principalRef");
+
+const linkRef = {
+  _id: false,
+  topicId: String,
+  sequenceNumber: Number,
+  transactionId: String,
+  runningHash: String
+};
+
+// A topic in the registry (see ledger/topics.js). Records are anchored on the
+// active topic of their scope: their institution, their record type, or the
+// default. Retired topics keep being read by /verify and /logs.
+const ledgerTopicSchema = new mongoose.Schema({
+  topicId: { type: String, required: true, unique: true },
+  memo: String,
+  adminKey: String, // public key that may update or delete the topic, if any
+  submitKey: String, // public key every message must be signed with, if any
+  scope: { _id: false, recordType: String, institution: String },
+  scopeKey: { type: String, required: true }, // "default", "type:<recordType>" or "institution:<id>"
+  status: { type: String, enum: ["active", "retired"], default: "active" },
+  predecessorTopicId: String,
+  successorTopicId: String,
+  // The "link" messages written when this topic replaced its predecessor
+  links: [linkRef],
+  // A rotation of this topic in progress: its successor and the link
+  // messages written so far, so that an interrupted rotation can resume
+  rotation: {
+    _id: false,
+    topicId: String,
+    memo: String,
+    adminKey: String,
+    submitKey: String,
+    links: [linkRef],
+    startedBy: principalRef,
+    startedAt: Date
+  },
+  createdBy: principalRef,
+  createdAt: { type: Date, default: Date.now },
+  retiredAt: Date
+});
+
+ledgerTopicSchema.index({ scopeKey: 1 }, { unique: true, partialFilterExpression: { status: "active" } });
+
+module.exports = mongoose.model("LedgerTopic", ledgerTopicSchema);
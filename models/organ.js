@@ -1,6 +1,51 @@
 const mongoose = require("mongoose");
+const anchorStatus = require("./anchorStatus");
+const principalRef = require("./principalRef");
+const { encryptedFieldsPlugin } = require("../records/encryption");
+const { BLOOD_TYPES, ORGAN_TYPES, DONOR_ID_PATTERN, ENCRYPTED_FIELDS } = require("./fields");
 
+// A procured organ. Same conventions as models/patient.js.
+const organSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, "type is required"],
+    lowercase: true,
+    trim: true,
+    enum: { values: ORGAN_TYPES, message: `type must be one of ${ORGAN_TYPES.join(", ")}` }
+  },
+  bloodType: {
+    type: String,
+    required: [true, "bloodType is required"],
+    uppercase: true,
+    trim: true,
+    enum: { values: BLOOD_TYPES, message: `bloodType must be one of ${BLOOD_TYPES.join(", ")}` }
+  },
+  donorId: {
+    type: String,
+    required: [true, "donorId is required"],
+    trim: true,
+    match: [DONOR_ID_PATTERN, "donorId must be 1-64 letters, digits or . _ : - characters"]
+  },
+  hashScheme: Number,
+  salt: { type: String, select: false },
+  legacyHash: String,
+  contentHash: { type: String, select: false },
+  version: { type: Number, default: 1 },
+  previousHash: String,
+  active: { type: Boolean, default: true },
+  revokedAt: Date,
+  revocationReason: String,
+  anchor: anchorStatus,
+  createdBy: principalRef,
+  updatedBy: principalRef
+}, { toJSON: { transform: (doc, ret) => { delete ret.salt; delete ret.contentHash; return ret; } } });
 
+// At most one active record per content, even under concurrent creates
+organSchema.index(
+  { contentHash: 1 },
+  { name: "contentHash_active", unique: true, partialFilterExpression: { active: true, contentHash: { $exists: true } } }
+);
 
+organSchema.plugin(encryptedFieldsPlugin, { fields: ENCRYPTED_FIELDS.organ });
 
 module.exports = mongoose.model("Organ", organSchema);
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// A ledger message waiting to be submitted (see ledger/outbox.js). Entries
+// are written in the same transaction as the record they anchor, so a record
+// never exists without its pending anchor and nothing reaches the ledger for
+// a record that was not saved.
+const outboxEntrySchema = new mongoose.Schema({
+  recordType: { type: String, required: true },
+  recordId: { type: String, required: true },
+  hash: { type: String, required: true },
+  message: { type: String, required: true },
+  topicId: String, // chosen by the topic registry (see ledger/topics.js); the ledger's own topic when absent
+  signed: { type: Boolean, default: false },
+  institution: String, // institution whose key signs the message
+  awaitingSignature: { type: Boolean, default: false }, // held until the institution signs it
+  status: { type: String, enum: ["pending", "anchored", "failed"], default: "pending" },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedUntil: Date,
+  lastError: String,
+  transactionId: String,
+  sequenceNumber: Number,
+  batchId: String,
+  createdAt: { type: Date, default: Date.now },
+  anchoredAt: Date
+});
+
+outboxEntrySchema.index({ status: 1, nextAttemptAt: 1, createdAt: 1 });
+outboxEntrySchema.index({ recordId: 1, hash: 1 });
+outboxEntrySchema.index({ recordType: 1, recordId: 1, status: 1, createdAt: 1 });
+outboxEntrySchema.index({ institution: 1, awaitingSignature: 1, createdAt: 1 });
+
+module.exports = mongoose.model("OutboxEntry", outboxEntrySchema);
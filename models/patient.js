@@ -1,11 +1,63 @@
 const mongoose = require("mongoose");
+const anchorStatus = require("./anchorStatus");
+const principalRef = require("./principalRef");
+const { encryptedFieldsPlugin } = require("../records/encryption");
+const { BLOOD_TYPES, ORGAN_TYPES, AGE_RANGE, ENCRYPTED_FIELDS } = require("./fields");
 
-const Patient = mongoose.model("Patient", new mongoose.Schema({
-  name: String,
-  bloodType: String,
-  age: Number,
-  organNeeded: String
-}));
+// A patient on (or once on) the waiting list. The fields hashed into the
+// ledger commitment and those encrypted at rest are listed in fields.js. Salts are never returned by
+// default: they are what keeps the public commitments from being
+// brute-forced. Content hashes are the same for identical records, so they
+// stay hidden too.
+// Erased patients keep only a tombstone (see records/erasure.js), so their
+// personal fields are no longer required.
+const unlessErased = function () { return !this.erasedAt; };
 
+const patientSchema = new mongoose.Schema({
+  name: { type: String, required: [unlessErased, "name is required"], trim: true, maxlength: 200 },
+  bloodType: {
+    type: String,
+    required: [unlessErased, "bloodType is required"],
+    uppercase: true,
+    trim: true,
+    enum: { values: BLOOD_TYPES, message: `bloodType must be one of ${BLOOD_TYPES.join(", ")}` }
+  },
+  age: {
+    type: Number,
+    required: [unlessErased, "age is required"],
+    min: [AGE_RANGE.min, `age must be at least ${AGE_RANGE.min}`],
+    max: [AGE_RANGE.max, `age must be at most ${AGE_RANGE.max}`],
+    validate: { validator: Number.isInteger, message: "age must be a whole number of years" }
+  },
+  organNeeded: { // listed on the waiting list for this organ on creation
+    type: String,
+    lowercase: true,
+    trim: true,
+    enum: { values: ORGAN_TYPES, message: `organNeeded must be one of ${ORGAN_TYPES.join(", ")}` }
+  },
+  hashScheme: Number, // absent on records anchored before schemes were versioned
+  salt: { type: String, select: false },
+  legacyHash: String, // unsalted hash the record was anchored with before migration
+  contentHash: { type: String, select: false }, // for spotting duplicates, see records/hashing.js
+  version: { type: Number, default: 1 },
+  previousHash: String, // anchored hash of the version this one replaced
+  active: { type: Boolean, default: true },
+  revokedAt: Date,
+  revocationReason: String,
+  erasedAt: Date,
+  erasedHash: String, // last anchored hash, retired by the "erase" tombstone
+  erasureReason: String,
+  anchor: anchorStatus, // latest anchor for this record, see ledger/outbox.js
+  createdBy: principalRef,
+  updatedBy: principalRef
+}, { toJSON: { transform: (doc, ret) => { delete ret.salt; delete ret.contentHash; return ret; } } });
+
+// At most one active record per content, even under concurrent creates
+patientSchema.index(
+  { contentHash: 1 },
+  { name: "contentHash_active", unique: true, partialFilterExpression: { active: true, contentHash: { $exists: true } } }
+);
+
+patientSchema.plugin(encryptedFieldsPlugin, { fields: ENCRYPTED_FIELDS.patient });
 
 module.exports = mongoose.model("Patient", patientSchema);
@@ -0,0 +1,8 @@
+const mongoose = require("mongoose");
+
+// The authenticated caller behind a change (see auth/principals.js)
+module.exports = new mongoose.Schema({
+  id: String,
+  role: String,
+  institution: String
+}, { _id: false });
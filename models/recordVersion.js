@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+const { encryptedFieldsPlugin } = require("../records/encryption");
+const { ENCRYPTED_FIELDS } = require("./fields");
+
+// Every anchored version of a Patient or Organ. The live record only holds
+// the latest version; earlier ones are kept here so the chain of anchored
+// hashes can be re-verified after legitimate corrections.
+const recordVersionSchema = new mongoose.Schema({
+  recordType: { type: String, required: true },
+  recordId: { type: String, required: true },
+  version: { type: Number, required: true },
+  fields: mongoose.Schema.Types.Mixed, // hashed fields at this version, encrypted at rest
+  hashScheme: Number,
+  salt: { type: String, select: false },
+  hash: { type: String, required: true },
+  previousHash: String,
+  transactionId: String,
+  createdAt: { type: Date, default: Date.now }
+}, { toJSON: { transform: (doc, ret) => { delete ret.salt; return ret; } } });
+
+recordVersionSchema.index({ recordType: 1, recordId: 1, version: 1 }, { unique: true });
+
+recordVersionSchema.plugin(encryptedFieldsPlugin, { fields: ENCRYPTED_FIELDS.version });
+
+module.exports = mongoose.model("RecordVersion", recordVersionSchema);
@@ -0,0 +1,11 @@
+const mongoose = require("mongoose");
+
+// Public half of every key the server has signed ledger envelopes with (see
+// ledger/serverKeys.js), so its signatures outlive restarts and rotations
+const serverKeySchema = new mongoose.Schema({
+  keyId: { type: String, required: true, unique: true },
+  publicKey: { type: String, required: true }, // SPKI PEM
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model("ServerKey", serverKeySchema);
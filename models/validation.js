@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// Request body validation against the schemas in this directory. Every
+// invalid body gets the same 400 payload:
+//   { error: "Invalid patient", fields: [{ field, message }] }
+
+function fieldErrors(err) {
+  return Object.values(err.errors).map(e => ({
+    field: e.path,
+    message: e.name === "CastError" ? `${e.path} must be a ${String(e.kind).toLowerCase()}` : e.message
+  }));
+}
+
+function invalidBody(subject, fields) {
+  return { error: `Invalid ${subject}`, fields };
+}
+
+// Check a document built from a request body: fields the client may not
+// set, then the schema's own validators. Returns the field errors, empty
+// when the document is valid.
+async function validateInput(doc, body, inputFields) {
+  const errors = Object.keys(body)
+    .filter(field => !inputFields.includes(field))
+    .map(field => ({ field, message: `${field} cannot be set` }));
+
+  try {
+    await doc.validate();
+  } catch (err) {
+    if (!(err instanceof mongoose.Error.ValidationError)) throw err;
+    errors.push(...fieldErrors(err));
+  }
+  return errors;
+}
+
+module.exports = { fieldErrors, invalidBody, validateInput };
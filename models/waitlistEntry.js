@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+const anchorStatus = require("./anchorStatus");
+const principalRef = require("./principalRef");
+const { ORGAN_TYPES } = require("./fields");
+const { URGENCY_LEVELS } = require("../allocation/priority");
+const { WAITLIST_STATUSES } = require("../allocation/waitlist");
+
+// One patient's listing for one organ type. Every status or urgency change
+// is anchored as a new version (see records/versions.js), so a patient's
+// place in the queue at any time can be proven.
+const waitlistEntrySchema = new mongoose.Schema({
+  patientId: { type: String, required: true },
+  organType: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    enum: { values: ORGAN_TYPES, message: `organType must be one of ${ORGAN_TYPES.join(", ")}` }
+  },
+  status: { type: String, enum: WAITLIST_STATUSES, default: "active" },
+  urgency: { type: String, enum: URGENCY_LEVELS, default: "medium" },
+  listedAt: { type: Date, default: Date.now },
+  statusChangedAt: { type: Date, default: Date.now },
+  statusReason: String,
+  hashScheme: Number,
+  salt: { type: String, select: false },
+  version: { type: Number, default: 1 },
+  previousHash: String,
+  anchor: anchorStatus,
+  createdBy: principalRef,
+  updatedBy: principalRef
+}, { toJSON: { transform: (doc, ret) => { delete ret.salt; return ret; } } });
+
+waitlistEntrySchema.index({ organType: 1, status: 1 });
+waitlistEntrySchema.index({ patientId: 1, organType: 1 });
+
+module.exports = mongoose.model("WaitlistEntry", waitlistEntrySchema);
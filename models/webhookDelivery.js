@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// One event to post to one subscription (see notifications/webhooks.js).
+// Deliveries that run out of attempts are kept as "dead" letters until they
+// are retried by hand. Every attempt is logged.
+const attemptSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  statusCode: Number,
+  error: String,
+  durationMs: Number
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+  subscriptionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  institution: { type: String, required: true },
+  event: { type: String, required: true },
+  dedupeKey: String, // the same event about the same thing is only sent once
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, enum: ["pending", "delivered", "dead"], default: "pending" },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedUntil: Date,
+  lastError: String,
+  attemptLog: [attemptSchema],
+  createdAt: { type: Date, default: Date.now },
+  deliveredAt: Date
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1, createdAt: 1 });
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+webhookDeliverySchema.index(
+  { subscriptionId: 1, dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: "string" } } }
+);
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema);
@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+const principalRef = require("./principalRef");
+
+// A URL an institution wants events posted to (see notifications/webhooks.js).
+// The secret signs every payload, so it is only returned when the
+// subscription is created.
+const webhookSubscriptionSchema = new mongoose.Schema({
+  institution: { type: String, required: true, index: true },
+  url: { type: String, required: true },
+  events: { type: [String], required: true },
+  secret: { type: String, required: true, select: false },
+  active: { type: Boolean, default: true },
+  createdBy: principalRef,
+  createdAt: { type: Date, default: Date.now },
+  deactivatedAt: Date
+}, { toJSON: { transform: (doc, ret) => { delete ret.secret; return ret; } } });
+
+module.exports = mongoose.model("WebhookSubscription", webhookSubscriptionSchema);
@@ -0,0 +1,108 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+
+// Target URL checks and payload signing for notifications/webhooks.js, kept
+// free of mongoose so receivers and tests can use them without a database.
+
+// Webhook URLs must be https and resolve to public addresses only, so that
+// subscriptions cannot make the server call itself, its network or a cloud
+// metadata service. Delivery resolves the host again and connects to the
+// address it checked, so a DNS change after registration does not get round
+// it either.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8], // private
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8], // loopback
+  ["169.254.0.0", 16], // link-local, including cloud metadata
+  ["172.16.0.0", 12], // private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.168.0.0", 16], // private
+  ["198.18.0.0", 15], // benchmarking
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4] // reserved and broadcast
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128], // unspecified
+  ["::1", 128], // loopback
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8] // multicast
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+function isPublicAddress(address) {
+  if (/^::ffff:/i.test(address)) return false; // IPv4-mapped, would get round the IPv4 list
+  const family = net.isIPv4(address) ? "ipv4" : net.isIPv6(address) ? "ipv6" : null;
+  return Boolean(family) && !BLOCKED_ADDRESSES.check(address, family);
+}
+
+// dns.lookup that fails unless every address of the host is public
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.length === 0 || !addresses.every(a => isPublicAddress(a.address))) {
+      return callback(new Error(`${hostname} does not resolve to a public address`));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Why a URL cannot be a webhook target, or null when it can
+async function webhookUrlError(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    return "url must be an absolute URL";
+  }
+  if (parsed.protocol !== "https:") return "url must be an https URL";
+  if (parsed.username || parsed.password) return "url must not contain credentials";
+
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, "$1");
+  if (net.isIP(host)) return isPublicAddress(host) ? null : "url must point to a public address";
+  try {
+    await new Promise((resolve, reject) => {
+      publicLookup(host, {}, err => (err ? reject(err) : resolve()));
+    });
+    return null;
+  } catch (err) {
+    return err.code === "ENOTFOUND" ? "url host does not resolve" : "url must point to a public address";
+  }
+}
+
+function generateWebhookSecret() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function signWebhookPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const mac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${mac}`;
+}
+
+// For receivers. toleranceSeconds bounds how old a signed request may be.
+function verifyWebhookSignature(secret, body, header, { toleranceSeconds = 300, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(String(header || "").split(",").map(p => p.split("=")));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signWebhookPayload(secret, body, timestamp).split("v1=")[1], "hex");
+  const given = Buffer.from(parts.v1, "hex");
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = {
+  isPublicAddress,
+  publicLookup,
+  webhookUrlError,
+  generateWebhookSecret,
+  signWebhookPayload,
+  verifyWebhookSignature
+};
@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const {
+  isPublicAddress,
+  webhookUrlError,
+  generateWebhookSecret,
+  signWebhookPayload,
+  verifyWebhookSignature
+} = require("./webhookSecurity");
+
+const SECRET = "whsec-test";
+const BODY = JSON.stringify({ event: "organ.compatible", data: { organId: "o1" } });
+const T = 1700000000;
+
+test("signs t.body with HMAC-SHA256", () => {
+  const mac = crypto.createHmac("sha256", SECRET).update(`${T}.${BODY}`).digest("hex");
+  assert.strictEqual(signWebhookPayload(SECRET, BODY, T), `t=${T},v1=${mac}`);
+});
+
+test("verifies fresh signatures and rejects stale or altered ones", () => {
+  const header = signWebhookPayload(SECRET, BODY, T);
+  assert.strictEqual(verifyWebhookSignature(SECRET, BODY, header, { now: T * 1000 }), true);
+  assert.strictEqual(verifyWebhookSignature(SECRET, BODY, header, { now: (T + 300) * 1000 }), true);
+  assert.strictEqual(verifyWebhookSignature(SECRET, BODY, header, { now: (T + 301) * 1000 }), false);
+  assert.strictEqual(verifyWebhookSignature("other", BODY, header, { now: T * 1000 }), false);
+  assert.strictEqual(verifyWebhookSignature(SECRET, `${BODY} `, header, { now: T * 1000 }), false);
+
+  // The timestamp is covered by the signature
+  const moved = header.replace(`t=${T}`, `t=${T + 10}`);
+  assert.strictEqual(verifyWebhookSignature(SECRET, BODY, moved, { now: T * 1000 }), false);
+
+  for (const bad of [undefined, "", `t=${T}`, "v1=00", `t=${T},v1=zz`]) {
+    assert.strictEqual(verifyWebhookSignature(SECRET, BODY, bad, { now: T * 1000 }), false);
+  }
+});
+
+test("generates distinct 256-bit secrets", () => {
+  const secret = generateWebhookSecret();
+  assert.strictEqual(Buffer.from(secret, "base64url").length, 32);
+  assert.notStrictEqual(secret, generateWebhookSecret());
+});
+
+test("only treats public addresses as public", () => {
+  for (const address of ["8.8.8.8", "1.1.1.1", "2606:4700:4700::1111"]) {
+    assert.strictEqual(isPublicAddress(address), true, address);
+  }
+  for (const address of [
+    "0.0.0.0", "10.1.2.3", "100.64.0.1", "127.0.0.1", "169.254.169.254", "172.16.0.1",
+    "172.31.255.255", "192.168.1.1", "198.18.0.1", "224.0.0.1", "255.255.255.255",
+    "::", "::1", "fc00::1", "fd12:3456::1", "fe80::1", "ff02::1",
+    "::ffff:127.0.0.1", "::ffff:8.8.8.8", "not-an-ip", ""
+  ]) {
+    assert.strictEqual(isPublicAddress(address), false, address);
+  }
+});
+
+test("rejects webhook URLs that are not https to a public IP", async () => {
+  assert.strictEqual(await webhookUrlError("https://8.8.8.8/hook"), null);
+  assert.strictEqual(await webhookUrlError("https://[2606:4700:4700::1111]/hook"), null);
+
+  assert.strictEqual(await webhookUrlError("not a url"), "url must be an absolute URL");
+  assert.strictEqual(await webhookUrlError("http://8.8.8.8/hook"), "url must be an https URL");
+  assert.strictEqual(await webhookUrlError("https://user:pw@8.8.8.8/hook"), "url must not contain credentials");
+  for (const url of [
+    "https://127.0.0.1/hook",
+    "https://169.254.169.254/latest/meta-data",
+    "https://[::1]/hook",
+    "https://[::ffff:10.0.0.1]/hook",
+    "https://localhost/hook"
+  ]) {
+    assert.strictEqual(await webhookUrlError(url), "url must point to a public address", url);
+  }
+});
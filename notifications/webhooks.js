@@ -0,0 +1,221 @@
+const https = require("https");
+const net = require("net");
+const mongoose = require("mongoose");
+const WebhookSubscription = require("../models/webhookSubscription");
+const WebhookDelivery = require("../models/webhookDelivery");
+const {
+  isPublicAddress,
+  publicLookup,
+  webhookUrlError,
+  generateWebhookSecret,
+  signWebhookPayload,
+  verifyWebhookSignature
+} = require("./webhookSecurity");
+
+// Webhook notifications for institutions. Events are queued as one
+// WebhookDelivery per matching subscription and posted by WebhookWorker,
+// retrying with exponential backoff; deliveries that keep failing become
+// dead letters. Each POST carries
+//   X-Webhook-Id         delivery ID, the same on every retry
+//   X-Webhook-Event      event type
+//   X-Webhook-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// keyed with the subscription secret. Receivers should check the signature
+// with verifyWebhookSignature (or its equivalent) and reject stale t values.
+// Target URL checks and signing live in ./webhookSecurity.js.
+const WEBHOOK_EVENTS = [
+  "organ.compatible", // an organ was registered that suits one of the institution's listed patients
+  "verification.failed" // one of the institution's records no longer matches its anchor
+];
+
+// Queue an event for every active subscription of the institution that asked
+// for it. With dedupeKey, a subscription that already has a delivery for the
+// key is skipped. Returns the number of deliveries queued.
+async function enqueueWebhookEvent(event, institution, data, { dedupeKey } = {}) {
+  if (!WEBHOOK_EVENTS.includes(event)) throw new Error(`Unknown webhook event: ${event}`);
+  if (!institution) return 0;
+
+  const subscriptions = await WebhookSubscription.find({ institution, events: event, active: true }).lean();
+  let queued = 0;
+  for (const subscription of subscriptions) {
+    const _id = new mongoose.Types.ObjectId();
+    const delivery = new WebhookDelivery({
+      _id,
+      subscriptionId: subscription._id,
+      institution,
+      event,
+      dedupeKey,
+      payload: { id: String(_id), event, institution, createdAt: new Date().toISOString(), data }
+    });
+    try {
+      await delivery.save();
+      queued++;
+    } catch (err) {
+      if (err.code !== 11000) throw err; // duplicate dedupeKey: already sent
+    }
+  }
+  return queued;
+}
+
+class WebhookWorker {
+  constructor({
+    pollMs = 1000,
+    maxAttempts = 8,
+    baseDelayMs = 5000,
+    maxDelayMs = 60 * 60 * 1000,
+    lockMs = 60 * 1000,
+    timeoutMs = 10 * 1000,
+    claimLimit = 20
+  } = {}) {
+    this.pollMs = pollMs;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.lockMs = lockMs;
+    this.timeoutMs = timeoutMs;
+    this.claimLimit = claimLimit;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.schedule(0);
+  }
+
+  schedule(delay) {
+    if (!this.running) return;
+    this.timer = setTimeout(() => this.poll(), delay);
+  }
+
+  async poll() {
+    this.timer = null;
+    let claimed = [];
+    try {
+      claimed = await this.claim();
+      // One slow receiver should not hold up the others
+      await Promise.all(claimed.map(delivery => this.process(delivery)));
+    } catch (err) {
+      console.error("Webhook poll failed:", err);
+    }
+    this.schedule(claimed.length > 0 ? 0 : this.pollMs);
+  }
+
+  // Lock due deliveries, oldest first, as OutboxWorker does
+  async claim() {
+    const now = new Date();
+    const claimed = [];
+    while (claimed.length < this.claimLimit) {
+      const delivery = await WebhookDelivery.findOneAndUpdate(
+        {
+          status: "pending",
+          nextAttemptAt: { $lte: now },
+          $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+        },
+        { $set: { lockedUntil: new Date(now.getTime() + this.lockMs) } },
+        { sort: { createdAt: 1 }, new: true }
+      );
+      if (!delivery) break;
+      claimed.push(delivery);
+    }
+    return claimed;
+  }
+
+  backoff(attempts) {
+    return Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempts - 1));
+  }
+
+  // Resolves with the response status. Redirects are not followed.
+  async post(subscription, delivery) {
+    const url = new URL(subscription.url);
+    if (url.protocol !== "https:") throw new Error("Webhook URL is not https");
+    // IP literals are connected to without a lookup
+    const host = url.hostname.replace(/^\[(.*)\]$/, "$1");
+    if (net.isIP(host) && !isPublicAddress(host)) throw new Error("Webhook URL does not point to a public address");
+    const body = JSON.stringify(delivery.payload);
+
+    return new Promise((resolve, reject) => {
+      const req = https.request(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(body),
+          "X-Webhook-Id": String(delivery._id),
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Signature": signWebhookPayload(subscription.secret, body)
+        },
+        lookup: publicLookup,
+        timeout: this.timeoutMs
+      }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      });
+      req.on("timeout", () => req.destroy(new Error(`Timed out after ${this.timeoutMs} ms`)));
+      req.on("error", reject);
+      req.end(body);
+    });
+  }
+
+  async process(delivery) {
+    const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select("+secret");
+    if (!subscription || !subscription.active) {
+      delivery.set({ status: "dead", lastError: "Subscription removed", lockedUntil: null });
+      return delivery.save();
+    }
+
+    const started = Date.now();
+    const attempt = { at: new Date(started) };
+    try {
+      attempt.statusCode = await this.post(subscription, delivery);
+      if (attempt.statusCode < 200 || attempt.statusCode >= 300) {
+        attempt.error = `Receiver returned ${attempt.statusCode}`;
+      }
+    } catch (err) {
+      attempt.error = err.message;
+    }
+    attempt.durationMs = Date.now() - started;
+
+    const attempts = delivery.attempts + 1;
+    delivery.attemptLog.push(attempt);
+    if (!attempt.error) {
+      delivery.set({ status: "delivered", attempts, deliveredAt: new Date(), lastError: null, lockedUntil: null });
+    } else {
+      const dead = attempts >= this.maxAttempts;
+      console.error(`Webhook delivery ${delivery._id} attempt ${attempts} failed:`, attempt.error);
+      delivery.set({
+        status: dead ? "dead" : "pending",
+        attempts,
+        lastError: attempt.error,
+        nextAttemptAt: new Date(Date.now() + this.backoff(attempts)),
+        lockedUntil: null
+      });
+    }
+    return delivery.save();
+  }
+
+  // Put a dead letter back in the queue with a fresh set of attempts
+  async retry(filter) {
+    return WebhookDelivery.findOneAndUpdate(
+      { ...filter, status: "dead" },
+      { $set: { status: "pending", attempts: 0, nextAttemptAt: new Date(), lockedUntil: null } },
+      { new: true }
+    );
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  isPublicAddress,
+  webhookUrlError,
+  generateWebhookSecret,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  enqueueWebhookEvent,
+  WebhookWorker
+};
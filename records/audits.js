@@ -0,0 +1,134 @@
+const IntegrityAudit = require("../models/integrityAudit");
+
+// Scheduled integrity audits. Every intervalMs the full verification behind
+// GET /verify is run and stored as an IntegrityAudit, together with a
+// running-hash check of the topics and a diff against the last completed
+// audit, so a record that starts failing shows up in the first run after it
+// does. Scheduled runs are keyed on their interval ("slot"), so with several
+// servers only the first to start a slot runs it.
+
+// A result from verification fails when it is not valid, whatever its status,
+// unless its anchor is still queued: a record that is just new has not failed
+function isFailing(result) {
+  return result.valid === false && !result.pending;
+}
+
+function toFailure(result) {
+  return {
+    record: result.record,
+    id: String(result.id),
+    status: result.status,
+    computedHash: result.computedHash || null
+  };
+}
+
+function summarizeResults(results) {
+  const byStatus = {};
+  for (const result of results) byStatus[result.status] = (byStatus[result.status] || 0) + 1;
+  return {
+    checked: results.length,
+    failing: results.filter(isFailing).length,
+    byStatus
+  };
+}
+
+// Records are matched on type and ID; one that fails again under a
+// different hash is still failing, not new
+function diffFailures(previous, current) {
+  const key = f => `${f.record}:${f.id}`;
+  const before = new Set(previous.map(key));
+  const now = new Set(current.map(key));
+  return {
+    newlyFailing: current.filter(f => !before.has(key(f))),
+    recovered: previous.filter(f => !now.has(key(f))),
+    stillFailing: current.filter(f => before.has(key(f))).length
+  };
+}
+
+class AuditScheduler {
+  // verify() resolves with the GET /verify results, checkChain() with a
+  // ledger/integrity.js checkChain report covering every topic
+  constructor({ verify, checkChain, intervalMs = 60 * 60 * 1000 }) {
+    this.verify = verify;
+    this.checkChain = checkChain;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.schedule();
+  }
+
+  // Wake up at the start of the next slot
+  schedule() {
+    if (!this.running) return;
+    const now = Date.now();
+    const slot = Math.floor(now / this.intervalMs) + 1;
+    this.timer = setTimeout(async () => {
+      try {
+        await this.run({ trigger: "scheduled", slot });
+      } catch (err) {
+        console.error("Scheduled integrity audit failed:", err);
+      }
+      this.schedule();
+    }, slot * this.intervalMs - now);
+  }
+
+  // Create the audit document. Resolves with null when the slot was already
+  // taken by another server.
+  async begin({ trigger, slot }) {
+    try {
+      return await IntegrityAudit.create({ trigger, slot });
+    } catch (err) {
+      if (err.code === 11000) return null;
+      throw err;
+    }
+  }
+
+  // Run the audit started by begin() to completion
+  async complete(audit) {
+    try {
+      const previous = await IntegrityAudit.findOne({
+        _id: { $ne: audit._id },
+        status: "completed",
+        startedAt: { $lte: audit.startedAt }
+      }).sort({ startedAt: -1 }).lean();
+
+      const results = await this.verify();
+      const chain = await this.checkChain();
+      const failures = results.filter(isFailing).map(toFailure);
+
+      audit.set({
+        status: "completed",
+        finishedAt: new Date(),
+        summary: summarizeResults(results),
+        chain: { checked: chain.checked, valid: chain.valid, counts: chain.counts },
+        failures,
+        previousAuditId: previous ? previous._id : undefined,
+        diff: diffFailures(previous ? previous.failures : [], failures)
+      });
+      if (audit.diff.newlyFailing.length) {
+        console.warn(`⚠️ Integrity audit ${audit._id}: ${audit.diff.newlyFailing.length} record(s) newly failing`);
+      }
+    } catch (err) {
+      audit.set({ status: "failed", finishedAt: new Date(), error: err.message });
+    }
+    return audit.save();
+  }
+
+  async run(options) {
+    const audit = await this.begin(options);
+    return audit ? this.complete(audit) : null;
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = { isFailing, summarizeResults, diffFailures, AuditScheduler };
@@ -0,0 +1,47 @@
+const { canonicalStringify, pickFields } = require("./hashing");
+const { schemeOf } = require("./versions");
+
+// Diagnostic verification. Besides valid/invalid, /verify says why a record
+// does or does not match the ledger:
+//   anchored           - current hash is anchored
+//   signature-invalid  - anchored, but the institution signature fails
+//   modified           - an earlier state was anchored and the record has
+//                        changed since; changedFields compares it with the
+//                        anchored version snapshot when there is one
+//   unanchored         - nothing about the record was ever anchored (pending
+//                        says whether an anchor is still queued)
+//   erased             - personal data erased, see records/erasure.js
+// Ledger entries for records that do not exist are reported as orphans.
+const DIAGNOSES = ["anchored", "signature-invalid", "modified", "unanchored", "erased"];
+
+// Hashed fields (plus salt and hash scheme) that differ between a record and
+// an anchored snapshot of it. Only field names are returned, never values.
+function changedFields(recordType, record, snapshot) {
+  const scheme = snapshot.hashScheme;
+  const anchored = pickFields(recordType, snapshot.fields || {}, scheme);
+  const current = pickFields(recordType, record, scheme);
+
+  const changed = Object.keys(anchored)
+    .filter(field => canonicalStringify(anchored[field]) !== canonicalStringify(current[field]));
+  if (scheme !== schemeOf(record)) changed.push("hashScheme");
+  if ((snapshot.salt || null) !== (record.salt || null)) changed.push("salt");
+  return changed;
+}
+
+function summarizeVerification(records, orphans) {
+  const byDiagnosis = Object.fromEntries(DIAGNOSES.map(d => [d, 0]));
+  const byStatus = {};
+  for (const result of records) {
+    byDiagnosis[result.diagnosis] = (byDiagnosis[result.diagnosis] || 0) + 1;
+    byStatus[result.status] = (byStatus[result.status] || 0) + 1;
+  }
+  return {
+    checked: records.length,
+    valid: records.filter(r => r.valid).length,
+    byDiagnosis,
+    byStatus,
+    orphans: orphans.length
+  };
+}
+
+module.exports = { DIAGNOSES, changedFields, summarizeVerification };
@@ -0,0 +1,244 @@
+const crypto = require("crypto");
+const fs = require("fs");
+
+// Envelope encryption of sensitive record fields at rest. Each record gets
+// its own random data key; the fields are encrypted with it (AES-256-GCM,
+// bound to the record ID and field name) and the data key is stored wrapped
+// by a master key. Rotating the master key only re-wraps the data keys.
+//
+// Master keys stand in for a KMS and come from MASTER_KEY_FILE, shaped like
+//   { "active": "2025-01", "keys": { "2025-01": "<base64 32 bytes>", ... } }
+// or from MASTER_KEY (base64, key ID "env"). Without either, fields are
+// stored in plaintext and a warning is logged.
+const ENCRYPTION_VERSION = 1;
+const ALGORITHM = "aes-256-gcm";
+
+let keyStore;
+
+function loadKeyStore(env = process.env) {
+  const keys = new Map();
+  let active = null;
+
+  if (env.MASTER_KEY_FILE) {
+    const config = JSON.parse(fs.readFileSync(env.MASTER_KEY_FILE, "utf8"));
+    for (const [keyId, key] of Object.entries(config.keys || {})) keys.set(keyId, Buffer.from(key, "base64"));
+    active = config.active;
+  } else if (env.MASTER_KEY) {
+    keys.set("env", Buffer.from(env.MASTER_KEY, "base64"));
+    active = "env";
+  }
+
+  for (const [keyId, key] of keys) {
+    if (key.length !== 32) throw new Error(`Master key ${keyId} must be 32 bytes`);
+  }
+  if (active && !keys.has(active)) throw new Error(`Active master key ${active} is not configured`);
+  if (!active) console.warn("⚠️ No MASTER_KEY_FILE or MASTER_KEY set, sensitive fields are stored unencrypted.");
+
+  return { active, keys };
+}
+
+function getKeyStore() {
+  if (!keyStore) keyStore = loadKeyStore();
+  return keyStore;
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString("base64");
+}
+
+function open(key, sealed, aad) {
+  const data = Buffer.from(sealed, "base64");
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, 12));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(data.subarray(12, 28));
+  return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]);
+}
+
+function masterKey(keyId, store) {
+  const key = store.keys.get(keyId);
+  if (!key) throw new Error(`Master key ${keyId} is not configured`);
+  return key;
+}
+
+function unwrapDataKey(encrypted, recordId, store) {
+  return open(masterKey(encrypted.keyId, store), encrypted.dataKey, `datakey:${recordId}`);
+}
+
+function isEnabled(store = getKeyStore()) {
+  return Boolean(store.active);
+}
+
+// Encrypt values ({ field: value }) for one record. Pass the record's
+// current `encrypted` state to keep its data key; returns the new state
+//   { v, keyId, dataKey, values: { field: ciphertext } }
+function encryptFields(values, recordId, existing = null, store = getKeyStore()) {
+  const id = String(recordId);
+  let keyId, dataKey, wrapped;
+  if (existing && existing.dataKey) {
+    ({ keyId, dataKey: wrapped } = existing);
+    dataKey = unwrapDataKey(existing, id, store);
+  } else {
+    keyId = store.active;
+    dataKey = crypto.randomBytes(32);
+    wrapped = seal(masterKey(keyId, store), dataKey, `datakey:${id}`);
+  }
+
+  const sealed = { ...((existing && existing.values) || {}) };
+  for (const [field, value] of Object.entries(values)) {
+    if (value === undefined || value === null) {
+      delete sealed[field];
+    } else {
+      sealed[field] = seal(dataKey, JSON.stringify(value), `${id}:${field}`);
+    }
+  }
+  return { v: ENCRYPTION_VERSION, keyId, dataKey: wrapped, values: sealed };
+}
+
+// { field: value } from an `encrypted` state
+function decryptFields(encrypted, recordId, store = getKeyStore()) {
+  if (!encrypted || !encrypted.dataKey) return {};
+  const id = String(recordId);
+  const dataKey = unwrapDataKey(encrypted, id, store);
+
+  const values = {};
+  for (const [field, sealed] of Object.entries(encrypted.values || {})) {
+    values[field] = JSON.parse(open(dataKey, sealed, `${id}:${field}`).toString("utf8"));
+  }
+  return values;
+}
+
+// Wrap a record's data key with the active master key. Returns null when it
+// already is.
+function rewrapDataKey(encrypted, recordId, store = getKeyStore()) {
+  if (!encrypted || !encrypted.dataKey || encrypted.keyId === store.active) return null;
+  const id = String(recordId);
+  const dataKey = unwrapDataKey(encrypted, id, store);
+  return {
+    ...encrypted,
+    keyId: store.active,
+    dataKey: seal(masterKey(store.active, store), dataKey, `datakey:${id}`)
+  };
+}
+
+// Seal a standalone secret, such as a private key, directly with the active
+// master key. context binds it to its owner, so a sealed secret cannot be
+// moved onto another one. Returns { v, keyId, value }.
+function sealSecret(plaintext, context, store = getKeyStore()) {
+  return {
+    v: ENCRYPTION_VERSION,
+    keyId: store.active,
+    value: seal(masterKey(store.active, store), Buffer.from(plaintext), `secret:${context}`)
+  };
+}
+
+function openSecret(sealed, context, store = getKeyStore()) {
+  return open(masterKey(sealed.keyId, store), sealed.value, `secret:${context}`).toString("utf8");
+}
+
+// Re-seal a secret with the active master key. Returns null when it already is.
+function rewrapSecret(sealed, context, store = getKeyStore()) {
+  if (!sealed || sealed.keyId === store.active) return null;
+  return sealSecret(openSecret(sealed, context, store), context, store);
+}
+
+// Plaintext copy of a lean document
+function decryptLean(doc, fields) {
+  if (!doc || !doc.encrypted) return doc;
+  const values = decryptFields(doc.encrypted, doc._id);
+  const plain = { ...doc };
+  for (const field of fields) {
+    if (field in values) plain[field] = values[field];
+  }
+  delete plain.encrypted;
+  return plain;
+}
+
+// Mongoose plugin: the given fields are encrypted into `encrypted` on save
+// and decrypted back onto the document when it is loaded, so routes and
+// hashing keep working on plaintext values. Lean queries bypass it; use
+// decryptLean on their results.
+function encryptedFieldsPlugin(schema, { fields }) {
+  schema.add({ encrypted: Object });
+
+  const hidePlaintext = (doc) => {
+    const plain = {};
+    for (const field of fields) {
+      plain[field] = doc.get(field);
+      doc.set(field, undefined);
+    }
+    doc.$locals.plaintext = plain;
+  };
+  const restorePlaintext = (doc) => {
+    const plain = doc.$locals.plaintext;
+    if (!plain) return;
+    delete doc.$locals.plaintext;
+    for (const field of fields) {
+      doc.set(field, plain[field]);
+      doc.unmarkModified(field);
+    }
+  };
+
+  schema.post("init", function () {
+    if (!this.encrypted) return;
+    const values = decryptFields(this.encrypted, this._id);
+    for (const field of fields) {
+      if (field in values) {
+        this.set(field, values[field]);
+        this.unmarkModified(field);
+      }
+    }
+  });
+
+  schema.pre("save", function () {
+    if (!isEnabled()) return;
+    const changed = {};
+    for (const field of fields) {
+      if (this.isNew || this.isModified(field) || !this.encrypted) changed[field] = this.get(field);
+    }
+    if (Object.keys(changed).length === 0) return;
+    // Nothing to encrypt, e.g. after an erasure destroyed the data key
+    if (!this.encrypted && Object.values(changed).every(v => v === undefined || v === null)) return;
+
+    this.encrypted = encryptFields(changed, this._id, this.encrypted);
+    this.markModified("encrypted");
+    hidePlaintext(this);
+  });
+
+  schema.post("save", function () {
+    restorePlaintext(this);
+  });
+  schema.post("save", function (err, doc, next) {
+    restorePlaintext(doc);
+    next(err);
+  });
+
+  // Keep ciphertext out of API responses
+  const toJSON = schema.get("toJSON") || {};
+  const transform = toJSON.transform;
+  schema.set("toJSON", {
+    ...toJSON,
+    transform: (doc, ret, options) => {
+      delete ret.encrypted;
+      return transform ? transform(doc, ret, options) : ret;
+    }
+  });
+}
+
+module.exports = {
+  ENCRYPTION_VERSION,
+  loadKeyStore,
+  getKeyStore,
+  isEnabled,
+  encryptFields,
+  decryptFields,
+  rewrapDataKey,
+  sealSecret,
+  openSecret,
+  rewrapSecret,
+  decryptLean,
+  encryptedFieldsPlugin
+};
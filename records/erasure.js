@@ -0,0 +1,51 @@
+const { parseMessageContents } = require("../ledger/messages");
+const { tombstoneSignatureValid } = require("./revocation");
+const { INPUT_FIELDS } = require("../models/fields");
+
+// Right to erasure by crypto-shredding. A patient's hash stays on the public
+// topic for good, so erasing them means destroying everything that could
+// link it back to them: the personal fields, the salt and data key that the
+// hash and ciphertext depend on, and any unsalted hashes. What is left is a
+// tombstone naming the last anchored hash, which a signed "erase" message on
+// the topic retires. The patient's sensitive candidate inputs are removed
+// from allocation decisions too; their anchored decision hash stays on the
+// topic but can no longer be recomputed.
+
+// Only the reason code goes on the public topic, never free text
+const ERASURE_REASONS = ["subject-request", "legal-obligation", "other"];
+
+// Fields removed from an erased record. Version snapshots are shredded
+// separately.
+const SHREDDED_FIELDS = {
+  patient: [...INPUT_FIELDS.patient, "salt", "encrypted", "legacyHash", "contentHash", "previousHash"]
+};
+
+function isValidErasureReason(reason) {
+  return ERASURE_REASONS.includes(reason);
+}
+
+// Check the "erase" tombstone(s) anchored for an erased record. The erasure
+// holds up when a tombstone retires the record's last anchored hash and
+// carries a signature from a server key.
+function checkErasure(record, tombstones, serverKeys) {
+  const tombstone = tombstones.find(t => t.hash === record.erasedHash);
+  const erasure = {
+    reason: record.erasureReason || null,
+    erasedAt: record.erasedAt || null,
+    erasedHash: record.erasedHash || null,
+    tombstoneAnchored: Boolean(tombstone),
+    signatureValid: false,
+    transactionId: null,
+    sequenceNumber: null
+  };
+  if (!tombstone) return erasure;
+
+  const parsed = parseMessageContents(tombstone.contents) || {};
+  erasure.signatureValid = tombstoneSignatureValid(tombstone, serverKeys);
+  erasure.ledgerReason = parsed.reason || null;
+  erasure.transactionId = tombstone.transactionId || null;
+  erasure.sequenceNumber = tombstone.sequenceNumber;
+  return erasure;
+}
+
+module.exports = { ERASURE_REASONS, SHREDDED_FIELDS, isValidErasureReason, checkErasure };
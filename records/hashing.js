@@ -0,0 +1,159 @@
+const crypto = require("crypto");
+const { HASHED_FIELDS } = require("../models/fields");
+
+// Hash schemes, by version. The fields hashed for each record type under a
+// scheme are listed with the schemas, in models/fields.js.
+//
+//   0 - legacy: JSON.stringify of the picked fields, in this order
+//   1 - canonical: sorted keys, normalized values, record type included
+//   2 - salted: HMAC-SHA256 of the canonical form, keyed with a per-record
+//       random salt that is stored with the record and never published
+const HASH_SCHEMES = {
+  0: { salted: false },
+  1: { salted: false },
+  2: { salted: true }
+};
+
+const LEGACY_HASH_SCHEME = 0;
+const CURRENT_HASH_SCHEME = 2;
+
+function getScheme(version, recordType) {
+  if (!HASH_SCHEMES[version]) throw new Error(`Unknown hash scheme: ${version}`);
+  const fields = HASHED_FIELDS[recordType] && HASHED_FIELDS[recordType][version];
+  if (!fields) throw new Error(`Hash scheme ${version} has no fields for ${recordType}`);
+  return fields;
+}
+
+function isSaltedScheme(version) {
+  return Boolean(HASH_SCHEMES[version] && HASH_SCHEMES[version].salted);
+}
+
+function generateSalt() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+function normalizeValue(value, type) {
+  if (value === undefined || value === null) return null;
+
+  switch (type) {
+    case "string":
+      return String(value).normalize("NFC");
+    case "number": {
+      const num = Number(value);
+      if (!Number.isFinite(num)) throw new Error(`Cannot hash non-finite number: ${value}`);
+      return num;
+    }
+    case "boolean":
+      return Boolean(value);
+    case "date":
+      return new Date(value).toISOString();
+    default:
+      throw new Error(`Unknown field type: ${type}`);
+  }
+}
+
+// JSON with object keys sorted at every level and no insignificant whitespace.
+// Like JSON.stringify, keys with undefined values are left out.
+function canonicalStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(v => (v === undefined ? "null" : canonicalStringify(v))).join(",")}]`;
+  }
+  if (value && typeof value.toJSON === "function") {
+    return canonicalStringify(value.toJSON());
+  }
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Names of the fields hashed for a record type under a scheme
+function hashedFieldNames(recordType, version = CURRENT_HASH_SCHEME) {
+  return Object.keys(getScheme(version, recordType));
+}
+
+function pickFields(recordType, record, version = CURRENT_HASH_SCHEME) {
+  const fields = getScheme(version, recordType);
+  const picked = {};
+  for (const [field, type] of Object.entries(fields)) {
+    picked[field] = normalizeValue(record[field], type);
+  }
+  return picked;
+}
+
+// Serialize the hashed fields of a record under the given scheme
+function serializeRecord(recordType, record, version = CURRENT_HASH_SCHEME) {
+  if (Number(version) === LEGACY_HASH_SCHEME) {
+    const fields = getScheme(version, recordType);
+    const picked = {};
+    for (const field of Object.keys(fields)) picked[field] = record[field];
+    return JSON.stringify(picked);
+  }
+
+  return canonicalStringify({
+    recordType,
+    hashScheme: Number(version),
+    fields: pickFields(recordType, record, version)
+  });
+}
+
+// Salted schemes read the salt from record.salt
+function hashRecord(recordType, record, version = CURRENT_HASH_SCHEME) {
+  const serialized = serializeRecord(recordType, record, version);
+
+  if (isSaltedScheme(version)) {
+    if (!record.salt) throw new Error(`Hash scheme ${version} requires a salt`);
+    return crypto.createHmac("sha256", Buffer.from(record.salt, "hex"))
+      .update(serialized)
+      .digest("hex");
+  }
+
+  return crypto.createHash("sha256").update(serialized).digest("hex");
+}
+
+// Key for content fingerprints, from CONTENT_HASH_KEY (base64, at least 32
+// bytes). Without it a temporary key is generated, and duplicates are only
+// spotted among records fingerprinted since the last restart.
+let fingerprintKey;
+
+function loadFingerprintKey(env = process.env) {
+  if (!env.CONTENT_HASH_KEY) {
+    console.warn("⚠️ CONTENT_HASH_KEY not set, using a temporary content fingerprint key.");
+    return crypto.randomBytes(32);
+  }
+  const key = Buffer.from(env.CONTENT_HASH_KEY, "base64");
+  if (key.length < 32) throw new Error("CONTENT_HASH_KEY must be at least 32 bytes");
+  return key;
+}
+
+function getFingerprintKey() {
+  if (!fingerprintKey) fingerprintKey = loadFingerprintKey();
+  return fingerprintKey;
+}
+
+// HMAC of a record's canonical form under the current scheme, keyed with the
+// server's fingerprint key, used to spot records with identical content. The
+// same record always gets the same fingerprint, so without the key it could
+// be brute-forced from the few fields it covers; it is never anchored or
+// returned.
+function contentFingerprint(recordType, record, key = getFingerprintKey()) {
+  return crypto.createHmac("sha256", key)
+    .update(serializeRecord(recordType, record, CURRENT_HASH_SCHEME))
+    .digest("hex");
+}
+
+module.exports = {
+  HASH_SCHEMES,
+  LEGACY_HASH_SCHEME,
+  CURRENT_HASH_SCHEME,
+  isSaltedScheme,
+  generateSalt,
+  canonicalStringify,
+  hashedFieldNames,
+  pickFields,
+  serializeRecord,
+  hashRecord,
+  loadFingerprintKey,
+  contentFingerprint
+};
@@ -0,0 +1,70 @@
+const LedgerMessage = require("../models/ledgerMessage");
+const { findMerkleAnchor } = require("../ledger/batcher");
+const { hashRecord, hashedFieldNames } = require("./hashing");
+const { schemeOf } = require("./versions");
+const { isTombstone } = require("../ledger/messages");
+
+// Portable verification receipts. A receipt holds everything needed to check
+// a record against the ledger without this server: the hashed fields, salt
+// and scheme to recompute the hash, and the topic message(s) that anchor it.
+// See verifier/ for the offline checker.
+const RECEIPT_VERSION = 1;
+
+function anchorOf(entry) {
+  return {
+    topicId: entry.topicId,
+    sequenceNumber: entry.sequenceNumber,
+    consensusTimestamp: entry.consensusTimestamp,
+    runningHash: entry.runningHash,
+    transactionId: entry.transactionId || null,
+    message: entry.contents
+  };
+}
+
+// record must be loaded with "+salt". topicId may be a query on several
+// topics, e.g. { $in: [...] }. Returns null when the record's current hash
+// is not anchored.
+async function buildReceipt(recordType, record, topicId) {
+  const hashScheme = schemeOf(record);
+  const hash = hashRecord(recordType, record, hashScheme);
+  const fields = {};
+  for (const field of hashedFieldNames(recordType, hashScheme)) fields[field] = record[field];
+
+  const receipt = {
+    receiptVersion: RECEIPT_VERSION,
+    recordType,
+    recordId: String(record._id),
+    fields,
+    hashScheme,
+    salt: record.salt || null,
+    hash,
+    issuedAt: new Date().toISOString()
+  };
+
+  const entries = await LedgerMessage.find({ topicId, hash }).sort({ consensusKey: 1 }).lean();
+  const direct = entries.find(e =>
+    !isTombstone(e.action) &&
+    (!e.type || e.type.toLowerCase() === recordType) &&
+    (!e.recordId || e.recordId === String(record._id))
+  );
+  if (direct) {
+    receipt.anchor = anchorOf(direct);
+    return receipt;
+  }
+
+  const merkle = await findMerkleAnchor({ topicId, recordType, recordId: record._id, hash });
+  if (!merkle || !merkle.valid) return null;
+
+  const rootEntry = await LedgerMessage.findOne({ topicId: merkle.topicId, sequenceNumber: merkle.sequenceNumber }).lean();
+  receipt.anchor = anchorOf(rootEntry);
+  receipt.merkle = {
+    batchId: String(merkle.batchId),
+    root: merkle.root,
+    leafIndex: merkle.leafIndex,
+    leafMessage: merkle.message,
+    proof: merkle.proof
+  };
+  return receipt;
+}
+
+module.exports = { RECEIPT_VERSION, buildReceipt };
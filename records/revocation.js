@@ -0,0 +1,48 @@
+const { signedPayload, parseMessageContents } = require("../ledger/messages");
+const { verifySignature } = require("../ledger/signing");
+
+// Why a record may be taken off the list. Only the reason code goes on the
+// public topic, never free text.
+const REVOCATION_REASONS = {
+  patient: ["transplanted", "deceased", "withdrawn", "other"],
+  organ: ["discarded", "transplanted", "expired", "other"]
+};
+
+function isValidReason(recordType, reason) {
+  return (REVOCATION_REASONS[recordType] || []).includes(reason);
+}
+
+// Whether a tombstone carries a valid signature from the server key it
+// names. serverKeys maps key IDs to public keys (see ledger/serverKeys.js).
+function tombstoneSignatureValid(tombstone, serverKeys) {
+  const parsed = parseMessageContents(tombstone.contents) || {};
+  const publicKey = parsed.keyId ? serverKeys.get(parsed.keyId) : null;
+  return Boolean(parsed.signature && publicKey) &&
+    verifySignature(publicKey, signedPayload(tombstone.contents), parsed.signature);
+}
+
+// Check the tombstone(s) anchored for a revoked record. A tombstone is valid
+// when it revokes the record's current hash and carries a signature from the
+// server key it names.
+function checkTombstone(record, computedHash, tombstones, serverKeys) {
+  const tombstone = tombstones.find(t => t.hash === computedHash) || tombstones[0];
+  const revocation = {
+    reason: record.revocationReason || null,
+    revokedAt: record.revokedAt || null,
+    tombstoneAnchored: false,
+    signatureValid: false,
+    transactionId: null,
+    sequenceNumber: null
+  };
+  if (!tombstone) return revocation;
+
+  const parsed = parseMessageContents(tombstone.contents) || {};
+  revocation.tombstoneAnchored = tombstone.hash === computedHash;
+  revocation.signatureValid = tombstoneSignatureValid(tombstone, serverKeys);
+  revocation.ledgerReason = parsed.reason || null;
+  revocation.transactionId = tombstone.transactionId || null;
+  revocation.sequenceNumber = tombstone.sequenceNumber;
+  return revocation;
+}
+
+module.exports = { REVOCATION_REASONS, isValidReason, tombstoneSignatureValid, checkTombstone };
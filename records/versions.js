@@ -0,0 +1,125 @@
+const mongoose = require("mongoose");
+const RecordVersion = require("../models/recordVersion");
+const LedgerMessage = require("../models/ledgerMessage");
+const { findMerkleAnchor } = require("../ledger/batcher");
+const { isTombstone } = require("../ledger/messages");
+const { hashRecord, hashedFieldNames, LEGACY_HASH_SCHEME } = require("./hashing");
+const { isEnabled, encryptFields, decryptLean } = require("./encryption");
+const { ENCRYPTED_FIELDS } = require("../models/fields");
+
+// Fields a client may never set directly on a Patient or Organ
+const PROTECTED_FIELDS = [
+  "_id", "__v", "salt", "hashScheme", "version", "previousHash", "legacyHash",
+  "anchor", "contentHash", "createdBy", "updatedBy", "erasedAt", "erasedHash", "erasureReason"
+];
+
+function schemeOf(record) {
+  return record.hashScheme === undefined || record.hashScheme === null
+    ? LEGACY_HASH_SCHEME
+    : record.hashScheme;
+}
+
+function stripProtectedFields(body) {
+  const changes = { ...body };
+  for (const field of PROTECTED_FIELDS) delete changes[field];
+  return changes;
+}
+
+// Store the hashed fields of a record (loaded with "+salt") as one version.
+// The transaction ID is filled in by the outbox worker once it is anchored.
+// The upsert skips the encryption plugin's save hook, so the fields are
+// encrypted here.
+async function saveVersion(recordType, record, { hash, previousHash, transactionId, session }) {
+  const hashScheme = schemeOf(record);
+  const fields = {};
+  for (const field of hashedFieldNames(recordType, hashScheme)) fields[field] = record[field];
+
+  const _id = new mongoose.Types.ObjectId();
+  const stored = isEnabled() ? { _id, encrypted: encryptFields({ fields }, _id) } : { _id, fields };
+
+  return RecordVersion.findOneAndUpdate(
+    { recordType, recordId: String(record._id), version: record.version || 1 },
+    {
+      $setOnInsert: {
+        ...stored,
+        hashScheme,
+        salt: record.salt,
+        hash,
+        previousHash: previousHash || null,
+        transactionId: transactionId || null
+      }
+    },
+    { upsert: true, new: true, session }
+  );
+}
+
+// Re-verify every stored version of a record: each version's hash must be
+// recomputable from its fields, be anchored on the ledger for this record,
+// and (after the first) point at the hash of the version before it. Versions
+// anchored in a Merkle batch are checked through their inclusion proof.
+// topicId may be a query on several topics, e.g. { $in: [...] }.
+async function buildHistory(recordType, recordId, topicId) {
+  const versions = await RecordVersion.find({ recordType, recordId: String(recordId) })
+    .select("+salt")
+    .sort({ version: 1 })
+    .lean()
+    .then(docs => docs.map(doc => decryptLean(doc, ENCRYPTED_FIELDS.version)));
+
+  const entries = await LedgerMessage.find({
+    topicId,
+    hash: { $in: versions.map(v => v.hash) }
+  }).lean();
+
+  let chainValid = versions.length > 0;
+  let previous = null;
+
+  const history = [];
+  for (const v of versions) {
+    const computed = hashRecord(recordType, { ...v.fields, salt: v.salt }, v.hashScheme);
+    const anchors = entries.filter(e =>
+      e.hash === v.hash &&
+      !isTombstone(e.action) &&
+      (!e.type || e.type.toLowerCase() === recordType) &&
+      (!e.recordId || e.recordId === String(recordId))
+    );
+    if (anchors.length === 0) {
+      const merkle = await findMerkleAnchor({ topicId, recordType, recordId, hash: v.hash });
+      if (merkle && merkle.valid) anchors.push({ ...merkle, batched: true });
+    }
+    const anchor = anchors[0];
+    const linked = previous
+      ? v.previousHash === previous.hash && anchors.some(e => e.previousHash === previous.hash)
+      : !v.previousHash;
+    const valid = computed === v.hash && anchors.length > 0 && linked;
+
+    if (!valid) chainValid = false;
+    previous = v;
+
+    history.push({
+      version: v.version,
+      fields: v.fields,
+      hashScheme: v.hashScheme,
+      hash: v.hash,
+      previousHash: v.previousHash || null,
+      transactionId: v.transactionId || null,
+      sequenceNumber: anchor ? anchor.sequenceNumber : null,
+      consensusTimestamp: anchor ? anchor.consensusTimestamp : null,
+      createdAt: v.createdAt,
+      hashMatches: computed === v.hash,
+      anchored: anchors.length > 0,
+      batchId: anchor && anchor.batched ? anchor.batchId : null,
+      linked,
+      valid
+    });
+  }
+
+  return { chainValid, versions: history };
+}
+
+module.exports = {
+  PROTECTED_FIELDS,
+  schemeOf,
+  stripProtectedFields,
+  saveVersion,
+  buildHistory
+};
@@ -4,345 +4,2068 @@
 // server.js
 require("dotenv").config();
 const express = require("express");
-const crypto = require("crypto");
 const mongoose = require("mongoose");
+const { createLedger } = require("./ledger");
+const { TopicRegistry } = require("./ledger/topics");
+const { loadServerSigner } = require("./ledger/signing");
+const { registerServerKey, loadServerKeys } = require("./ledger/serverKeys");
+const { AnchorBatcher, findMerkleAnchor } = require("./ledger/batcher");
+const { checkChain } = require("./ledger/integrity");
+const { parseMessageContents, isTombstone } = require("./ledger/messages");
+const { toISOString } = require("./ledger/timestamp");
+const { parseLogQuery, encodeCursor } = require("./ledger/logQuery");
+const { LedgerFeed, parseFeedFilters } = require("./ledger/feed");
 const {
-  Client,
-  TopicMessageSubmitTransaction,
-  TopicCreateTransaction,
-  TopicMessageQuery
-} = require("@hashgraph/sdk");
+  keyContext,
+  generateInstitutionKey,
+  importInstitutionKey,
+  loadInstitutionSigner,
+  signingRequest,
+  applyInstitutionSignature,
+  checkInstitutionSignature
+} = require("./ledger/institutions");
+const { withTransaction, createOutboxEntry, OutboxWorker } = require("./ledger/outbox");
+const { idempotency } = require("./middleware/idempotency");
+const { authenticate, requireRole } = require("./middleware/auth");
+const { loadApiKeys, canReadFields, principalRef } = require("./auth/principals");
+const { signJwt } = require("./auth/jwt");
+const {
+  Patient,
+  Organ,
+  LedgerMessage,
+  AnchorBatch,
+  Allocation,
+  WaitlistEntry,
+  OutboxEntry,
+  Institution,
+  RecordVersion,
+  IdempotencyKey,
+  ErasureLog,
+  WebhookSubscription,
+  WebhookDelivery,
+  IntegrityAudit,
+  LedgerTopic,
+  INPUT_FIELDS,
+  ENCRYPTED_FIELDS,
+  ORGAN_TYPES,
+  invalidBody,
+  validateInput
+} = require("./models");
+const {
+  hashRecord,
+  generateSalt,
+  isSaltedScheme,
+  contentFingerprint,
+  CURRENT_HASH_SCHEME
+} = require("./records/hashing");
+const {
+  schemeOf,
+  stripProtectedFields,
+  saveVersion,
+  buildHistory
+} = require("./records/versions");
+const { REVOCATION_REASONS, isValidReason, checkTombstone } = require("./records/revocation");
+const { ERASURE_REASONS, SHREDDED_FIELDS, isValidErasureReason, checkErasure } = require("./records/erasure");
+const { buildReceipt } = require("./records/receipts");
+const { AuditScheduler } = require("./records/audits");
+const { changedFields, summarizeVerification } = require("./records/diagnosis");
+const {
+  isEnabled: encryptionEnabled,
+  encryptFields,
+  rewrapDataKey,
+  sealSecret,
+  rewrapSecret,
+  decryptLean
+} = require("./records/encryption");
+const {
+  buildDecision,
+  hashDecision,
+  sensitiveKey,
+  splitInputs,
+  storedInputs,
+  loadInputs
+} = require("./allocation/decision");
+const { loadPriorityRules, rulesFor, URGENCY_LEVELS } = require("./allocation/priority");
+const { rankCandidates } = require("./allocation/matching");
+const { WAITLIST_STATUSES, toCandidates, buildQueue } = require("./allocation/waitlist");
+const {
+  WEBHOOK_EVENTS,
+  webhookUrlError,
+  generateWebhookSecret,
+  enqueueWebhookEvent,
+  WebhookWorker
+} = require("./notifications/webhooks");
 
 const app = express();
 app.use(express.json());
 
-// Connect to MongoDB
+// Every route needs an API key or a bearer token (see middleware/auth.js)
+const jwtSecret = process.env.JWT_SECRET || null;
+app.use(authenticate({ apiKeys: loadApiKeys(), jwtSecret }));
+app.use(idempotency());
+
+// Initialize ledger backend (Hedera or local, see ledger/index.js)
+const ledger = createLedger();
+const signer = loadServerSigner();
+// Registered topics, each mirrored into LedgerMessage (see ledger/topics.js)
+const ledgerTopics = new TopicRegistry({ ledger, signer });
+const priorityRules = loadPriorityRules();
+
+// Optional Merkle batching: set ANCHOR_BATCH_WINDOW_MS to anchor one root per
+// window instead of one message per record
+const batcher = Number(process.env.ANCHOR_BATCH_WINDOW_MS) > 0
+  ? new AnchorBatcher({
+    ledger,
+    windowMs: Number(process.env.ANCHOR_BATCH_WINDOW_MS),
+    maxSize: Number(process.env.ANCHOR_BATCH_MAX_SIZE) || undefined,
+    issuer: ledger.operatorAccountId
+  })
+  : null;
+
+// Posts queued webhook events (see notifications/webhooks.js)
+const webhookWorker = new WebhookWorker({
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || undefined
+});
+
+// Connect to MongoDB, then start submitting queued anchors and webhook
+// events and mirroring the registered ledger topics into it
 mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
-}).then(() => console.log("MongoDB connected"))
-  .catch((err) => console.error("MongoDB connection error:", err));
+}).then(() => {
+  console.log("MongoDB connected");
+  outboxWorker.start();
+  webhookWorker.start();
+  if (auditIntervalMs > 0) auditScheduler.start();
+  return Promise.all([registerServerKey(signer), ledgerTopics.start()]);
+}).catch((err) => console.error("MongoDB connection error:", err));
+
+// Recompute a stored record's hash under the scheme it was anchored with.
+// Salted schemes need the record to be loaded with "+salt".
+function computeRecordHash(recordType, record) {
+  return hashRecord(recordType, record, schemeOf(record));
+}
+
+// Submits the anchors queued by the routes below. Signed envelopes always go
+// straight to the topic; everything else joins the current Merkle batch when
+// batching is on.
+const outboxWorker = new OutboxWorker({
+  ledger,
+  batcher,
+  models: { patient: Patient, organ: Organ, waitlist: WaitlistEntry, allocation: Allocation },
+  pollMs: Number(process.env.OUTBOX_POLL_MS) || undefined,
+  maxAttempts: Number(process.env.OUTBOX_MAX_ATTEMPTS) || undefined
+});
+
+// Save a record together with the outbox entry for its v2 envelope (see
+// ledger/messages.js) in one transaction. record.anchor starts out pending
+// and is filled in by the outbox worker. With `version`, the version
+// snapshot is stored in the same transaction, as is anything `alongside`
+// does with the session. The principal making the
+// change is recorded on both the record and the ledger message, which is
+// signed with the principal's institution key when it has one.
+async function saveWithAnchor(record, { recordType, action = "create", hashScheme, hash, previousHash, reason, principal }, { signed = false, version = false, alongside = null } = {}) {
+  const by = principalRef(principal);
+  const institutionSigner = await loadInstitutionSigner(by && by.institution);
+  const outbox = createOutboxEntry({
+    recordType,
+    recordId: record._id,
+    action,
+    hashScheme,
+    hash,
+    issuer: ledger.operatorAccountId,
+    principal: by,
+    previousHash,
+    reason,
+    topicId: ledgerTopics.resolve({ recordType, institution: by && by.institution })
+  }, signed ? signer : null, institutionSigner);
+  record.anchor = { status: "pending", outboxId: outbox._id };
+  if (by) record.set(record.isNew ? { createdBy: by, updatedBy: by } : { updatedBy: by });
+
+  await withTransaction(async (session) => {
+    await outbox.save({ session });
+    // Input was validated by the caller; old records may predate the rules
+    await record.save({ session, validateModifiedOnly: true });
+    if (version) await saveVersion(recordType, record, { hash, previousHash, session });
+    if (alongside) await alongside(session);
+  });
+  return outbox;
+}
+
+// Queue a webhook event without letting a failure affect the request that
+// raised it
+function notify(event, institution, data, options) {
+  enqueueWebhookEvent(event, institution, data, options)
+    .catch(err => console.error(`Failed to queue ${event} webhook:`, err));
+}
 
-// Models
-const Patient = mongoose.model("Patient", new mongoose.Schema({
-  name: String,
-  bloodType: String,
-  age: Number
-}));
+// Tell each institution with a compatible patient on the waiting list that
+// the organ is available. Only its own patients are named, by ID.
+async function notifyCompatibleOrgan(organ) {
+  const { ranked } = rankCandidates(organ, await waitlistCandidates(organ.type), {
+    rules: rulesFor(priorityRules, organ.type)
+  });
+  if (ranked.length === 0) return;
+
+  const patients = await Patient.find({ _id: { $in: ranked.map(r => r.patientId) } }, { createdBy: 1 }).lean();
+  const institutionOf = new Map(patients.map(p => [String(p._id), p.createdBy && p.createdBy.institution]));
+  const byInstitution = new Map();
+  for (const { patientId, rank, score } of ranked) {
+    const institution = institutionOf.get(patientId);
+    if (!institution) continue;
+    if (!byInstitution.has(institution)) byInstitution.set(institution, []);
+    byInstitution.get(institution).push({ patientId, rank, score });
+  }
+
+  for (const [institution, compatible] of byInstitution) {
+    notify("organ.compatible", institution, {
+      organId: String(organ._id),
+      organType: organ.type,
+      candidates: ranked.length,
+      patients: compatible
+    }, { dedupeKey: `organ:${organ._id}` });
+  }
+}
+
+// A ledger entry with its type, record ID, action and hash re-derived from
+// contents, which the running hash covers, rather than taken from the
+// decoded columns of the index. Null when the contents do not parse.
+function decodeEntry(entry) {
+  const parsed = parseMessageContents(entry.contents);
+  return parsed && { ...entry, type: parsed.type, recordId: parsed.recordId, action: parsed.action, hash: parsed.hash };
+}
 
-const Organ = mongoose.model("Organ", new mongoose.Schema({
-  type: String,
-  bloodType: String,
-  donorId: String
-}));
+// A ledger entry anchors a record if the hash matches and, for envelopes that
+// carry one, the record type and ID match too. Legacy entries only have a hash.
+// Tombstones reference the revoked or erased hash but do not anchor it.
+function anchorsRecord(entry, recordType, recordId, hash) {
+  const decoded = decodeEntry(entry);
+  if (!decoded || decoded.hash !== hash || isTombstone(decoded.action)) return false;
+  if (decoded.type !== recordType) return false;
+  return !decoded.recordId || decoded.recordId === String(recordId);
+}
 
-// Initialize Hedera client
-const client = Client.forTestnet();
-client.setOperator(process.env.HEDERA_ACCOUNT_ID, process.env.HEDERA_PRIVATE_KEY);
+// Anchored directly by a topic message, or as a leaf of an anchored batch
+async function isAnchored(recordType, recordId, hash) {
+  const entries = await LedgerMessage.find({ topicId: ledgerTopics.query(), hash }).lean();
+  if (entries.some(e => anchorsRecord(e, recordType, recordId, hash))) return true;
 
-// Topic ID from environment
-const TOPIC_ID = process.env.HEDERA_TOPIC_ID;
+  const merkle = await findMerkleAnchor({ topicId: ledgerTopics.query(), recordType, recordId, hash });
+  return Boolean(merkle && merkle.valid);
+}
 
-function hashData(data) {
-  return crypto.createHash("sha256").update(JSON.stringify(data)).digest("hex");
+// Anchored, or still waiting in the outbox. Enough to build a new version
+// on, since the outbox submits a record's entries oldest first.
+async function isAnchoredOrPending(recordType, recordId, hash) {
+  const pending = await OutboxEntry.exists({ recordType, recordId: String(recordId), hash, status: "pending" });
+  return Boolean(pending) || isAnchored(recordType, recordId, hash);
 }
 
-async function submitToHedera(message) {
-  const submitTx = new TopicMessageSubmitTransaction()
-    .setTopicId(TOPIC_ID)
-    .setMessage(message);
+// What POST /patients and POST /organs do with a record whose content matches
+// an active record of the same type: "reject" (409, the default) or
+// "return-existing" (200 with the existing record instead of a new one)
+const duplicatePolicy = process.env.DUPLICATE_RECORD_POLICY === "return-existing" ? "return-existing" : "reject";
+
+// Responds and returns true when an active record with the same content exists
+async function handleDuplicate(recordType, Model, contentHash, res) {
+  const existing = await Model.findOne({ contentHash, active: true }).select("+salt");
+  if (!existing) return false;
+
+  if (duplicatePolicy === "return-existing") {
+    res.json({
+      duplicate: true,
+      hash: computeRecordHash(recordType, existing),
+      anchor: existing.anchor,
+      [recordType]: existing
+    });
+  } else {
+    res.status(409).json({ error: `An identical ${recordType} already exists`, existingId: existing._id });
+  }
+  return true;
+}
 
-  const submitResponse = await submitTx.execute(client);
-  return submitResponse.transactionId.toString();
+// Save rejected by the unique index on contentHash: an identical record was
+// created concurrently, after handleDuplicate had looked
+function isDuplicateContent(err) {
+  return err.code === 11000 && Boolean(err.keyPattern && err.keyPattern.contentHash);
 }
 
-app.post("/patients", async (req, res) => {
+app.post("/patients", requireRole("transplant-center"), async (req, res) => {
   try {
-    const patient = req.body;
-    const hash = hashData({
-      name: patient.name,
-      bloodType: patient.bloodType,
-      age: patient.age
+    const { urgency, ...body } = stripProtectedFields(req.body);
+    const patient = new Patient({
+      ...body,
+      hashScheme: CURRENT_HASH_SCHEME,
+      salt: generateSalt()
     });
-    const message = `PATIENT|${hash}`;
-    const txId = await submitToHedera(message);
-    const savedPatient = await Patient.create(patient); // No hash saved
-    res.status(201).json({ transactionId: txId, hash, patient: savedPatient });
+    const errors = await validateInput(patient, body, INPUT_FIELDS.patient);
+    if (urgency !== undefined && !URGENCY_LEVELS.includes(urgency)) {
+      errors.push({ field: "urgency", message: `urgency must be one of ${URGENCY_LEVELS.join(", ")}` });
+    }
+    if (errors.length) return res.status(400).json(invalidBody("patient", errors));
+
+    patient.contentHash = contentFingerprint("patient", patient);
+    if (await handleDuplicate("patient", Patient, patient.contentHash, res)) return;
+
+    const hash = computeRecordHash("patient", patient);
+    try {
+      await saveWithAnchor(patient, {
+        recordType: "patient",
+        hashScheme: CURRENT_HASH_SCHEME,
+        hash,
+        principal: req.principal
+      }, { version: true });
+    } catch (err) {
+      if (isDuplicateContent(err) && await handleDuplicate("patient", Patient, patient.contentHash, res)) return;
+      throw err;
+    }
+
+    let waitlistEntry;
+    if (patient.organNeeded) {
+      ({ entry: waitlistEntry } = await listOnWaitlist(patient, patient.organNeeded, urgency, req.principal));
+    }
+
+    res.status(201).json({ hash, anchor: patient.anchor, patient, waitlistEntry });
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: "Failed to log patient to Hedera" });
+    res.status(500).json({ error: "Failed to save patient" });
   }
 });
 
 
-app.post("/organs", async (req, res) => {
+app.post("/organs", requireRole("procurement-coordinator"), async (req, res) => {
   try {
-    const organ = req.body;
-    const hash = hashData({
-      type: organ.type,
-      bloodType: organ.bloodType,
-      donorId: organ.donorId
+    const body = stripProtectedFields(req.body);
+    const organ = new Organ({
+      ...body,
+      hashScheme: CURRENT_HASH_SCHEME,
+      salt: generateSalt()
     });
-    const message = `ORGAN|${hash}`;
-    const txId = await submitToHedera(message);
-    const savedOrgan = await Organ.create(organ); // No hash saved
-    res.status(201).json({ transactionId: txId, hash, organ: savedOrgan });
+    const errors = await validateInput(organ, body, INPUT_FIELDS.organ);
+    if (errors.length) return res.status(400).json(invalidBody("organ", errors));
+
+    organ.contentHash = contentFingerprint("organ", organ);
+    if (await handleDuplicate("organ", Organ, organ.contentHash, res)) return;
+
+    const hash = computeRecordHash("organ", organ);
+    try {
+      await saveWithAnchor(organ, {
+        recordType: "organ",
+        hashScheme: CURRENT_HASH_SCHEME,
+        hash,
+        principal: req.principal
+      }, { version: true });
+    } catch (err) {
+      if (isDuplicateContent(err) && await handleDuplicate("organ", Organ, organ.contentHash, res)) return;
+      throw err;
+    }
+    res.status(201).json({ hash, anchor: organ.anchor, organ });
+
+    notifyCompatibleOrgan(organ).catch(err => console.error("Failed to notify compatible organ:", err));
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: "Failed to log organ to Hedera" });
+    res.status(500).json({ error: "Failed to save organ" });
   }
 });
 
+// Anchor a new version of a record that points at the previous version's
+// hash. Only records whose current state is anchored (or queued to be) can
+// be amended, so an out-of-band edit cannot be laundered into a
+// legitimate-looking version.
+async function amendRecord(recordType, Model, req, res) {
+  const record = await Model.findById(req.params.id).select("+salt");
+  if (!record) return res.status(404).json({ error: `${Model.modelName} not found` });
+  if (record.erasedAt) return res.status(410).json({ error: `${Model.modelName} has been erased` });
+  if (record.active === false) {
+    return res.status(409).json({ error: `${Model.modelName} has been revoked and cannot be amended` });
+  }
+
+  const previousHash = computeRecordHash(recordType, record);
+  if (!(await isAnchoredOrPending(recordType, record._id, previousHash))) {
+    return res.status(409).json({
+      error: `${Model.modelName} does not match its anchored hash and cannot be amended`,
+      computedHash: previousHash
+    });
+  }
 
+  // The version being replaced, stored in the history along with the new one
+  const replaced = record.toObject();
 
-async function getHederaHashes(expectedCount = Infinity) {
-  const logs = [];
-  const query = new TopicMessageQuery()
-    .setTopicId(TOPIC_ID)
-    .setStartTime(0);
+  const changes = stripProtectedFields(req.body);
+  record.set(changes);
+  const errors = await validateInput(record, changes, INPUT_FIELDS[recordType]);
+  if (errors.length) return res.status(400).json(invalidBody(recordType, errors));
 
-  return new Promise((resolve, reject) => {
-    const timeout = setTimeout(() => {
-      console.warn("⚠️ Timeout reached, resolving with partial logs.");
-      resolve(logs);
-    }, 10000); // Adjust if needed
+  record.set({
+    hashScheme: CURRENT_HASH_SCHEME,
+    salt: generateSalt(),
+    version: (record.version || 1) + 1,
+    previousHash
+  });
+  record.contentHash = contentFingerprint(recordType, record);
 
-    query.subscribe(
-      client,
-      (error) => {
-        clearTimeout(timeout);
-        console.error("❌ Error during topic subscription:", error);
-        reject(error);
-      },
-      (msg) => {
-        const content = Buffer.from(msg.contents).toString("utf8");
-        const [type, hash] = content.split("|");
+  const hash = computeRecordHash(recordType, record);
+  try {
+    await saveWithAnchor(record, {
+      recordType,
+      action: "update",
+      hashScheme: CURRENT_HASH_SCHEME,
+      hash,
+      previousHash,
+      principal: req.principal
+    }, {
+      version: true,
+      alongside: (session) => saveVersion(recordType, replaced, {
+        hash: previousHash,
+        previousHash: replaced.previousHash,
+        session
+      })
+    });
+  } catch (err) {
+    if (!isDuplicateContent(err)) throw err;
+    return res.status(409).json({ error: `An identical ${recordType} already exists` });
+  }
 
-        if (!type || !hash) {
-          console.warn("⚠️ Malformed message:", content);
-          return;
-        }
+  res.json({ hash, previousHash, anchor: record.anchor, [recordType]: record });
+}
 
-        logs.push({ type, hash });
+// Take a record off the list: mark it inactive and anchor a signed tombstone
+// for its current hash, so the audit trail survives.
+async function revokeRecord(recordType, Model, req, res) {
+  const { reason } = req.body;
+  if (!isValidReason(recordType, reason)) {
+    return res.status(400).json(invalidBody("revocation", [{
+      field: "reason",
+      message: `reason must be one of ${REVOCATION_REASONS[recordType].join(", ")}`
+    }]));
+  }
 
-        if (logs.length >= expectedCount) {
-          clearTimeout(timeout);
-          resolve(logs);
-        }
+  const record = await Model.findById(req.params.id).select("+salt");
+  if (!record) return res.status(404).json({ error: `${Model.modelName} not found` });
+  if (record.erasedAt) return res.status(410).json({ error: `${Model.modelName} has been erased` });
+  if (record.active === false) {
+    return res.status(409).json({ error: `${Model.modelName} is already revoked` });
+  }
+
+  const hash = computeRecordHash(recordType, record);
+  record.set({ active: false, revokedAt: new Date(), revocationReason: reason });
+  await saveWithAnchor(record, {
+    recordType,
+    action: "revoke",
+    hashScheme: schemeOf(record),
+    hash,
+    reason,
+    principal: req.principal
+  }, { signed: true });
+
+  // A revoked patient is no longer waiting for anything
+  if (recordType === "patient") {
+    const entries = await WaitlistEntry.find({ patientId: String(record._id), status: { $ne: "delisted" } })
+      .select("+salt");
+    for (const entry of entries) {
+      await changeWaitlistEntry(entry, { status: "delisted", statusReason: `patient ${reason}` }, req.principal);
+    }
+  }
+
+  res.json({ hash, anchor: record.anchor, [recordType]: record });
+}
+
+app.post("/patients/:id/revoke", requireRole("transplant-center"), async (req, res) => {
+  try {
+    await revokeRecord("patient", Patient, req, res);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to revoke patient" });
+  }
+});
+
+app.post("/organs/:id/revoke", requireRole("procurement-coordinator"), async (req, res) => {
+  try {
+    await revokeRecord("organ", Organ, req, res);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to revoke organ" });
+  }
+});
+
+// Right to erasure: crypto-shred a patient's personal data (see
+// records/erasure.js). The fields, salt and data key are destroyed along with
+// the version snapshots, the patient's allocation inputs and any stored
+// responses holding them, a signed "erase" tombstone for the last hash is
+// anchored, and the erasure is logged in ErasureLog, all in one transaction.
+// The patient is delisted first.
+app.delete("/patients/:id/personal-data", requireRole("transplant-center"), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!isValidErasureReason(reason)) {
+      return res.status(400).json(invalidBody("erasure", [{
+        field: "reason",
+        message: `reason must be one of ${ERASURE_REASONS.join(", ")}`
+      }]));
+    }
+
+    const patient = await Patient.findById(req.params.id).select("+salt");
+    if (!patient) return res.status(404).json({ error: "Patient not found" });
+    if (patient.erasedAt) return res.status(409).json({ error: "Patient is already erased" });
+
+    const entries = await WaitlistEntry.find({ patientId: String(patient._id), status: { $ne: "delisted" } })
+      .select("+salt");
+    for (const entry of entries) {
+      await changeWaitlistEntry(entry, { status: "delisted", statusReason: "patient erased" }, req.principal);
+    }
+
+    const hash = computeRecordHash("patient", patient);
+    const hashScheme = schemeOf(patient);
+    patient.set({ active: false, erasedAt: new Date(), erasedHash: hash, erasureReason: reason });
+    for (const field of SHREDDED_FIELDS.patient) patient.set(field, undefined);
+
+    const log = new ErasureLog({
+      recordType: "patient",
+      recordId: String(patient._id),
+      reason,
+      erasedHash: hash,
+      principal: principalRef(req.principal),
+      waitlistEntriesDelisted: entries.length,
+      erasedAt: patient.erasedAt
+    });
+    await saveWithAnchor(patient, {
+      recordType: "patient",
+      action: "erase",
+      hashScheme,
+      hash,
+      reason,
+      principal: req.principal
+    }, {
+      signed: true,
+      alongside: async (session) => {
+        const versions = await RecordVersion.updateMany(
+          { recordType: "patient", recordId: String(patient._id) },
+          { $unset: { fields: 1, encrypted: 1, salt: 1 } },
+          { session }
+        );
+        const allocations = await Allocation.updateMany(
+          { "inputs.candidates.patientId": String(patient._id) },
+          {
+            $unset: {
+              [`encrypted.values.${sensitiveKey(patient._id)}`]: 1,
+              [`sensitiveInputs.${sensitiveKey(patient._id)}`]: 1,
+              // Allocations stored before the inputs were split
+              ...Object.fromEntries(ENCRYPTED_FIELDS.patient.map(f => [`inputs.candidates.$[candidate].${f}`, 1]))
+            },
+            $addToSet: { erasedPatients: String(patient._id) }
+          },
+          { session, arrayFilters: [{ "candidate.patientId": String(patient._id) }] }
+        );
+        const responses = await IdempotencyKey.deleteMany({
+          $or: [{ recordIds: String(patient._id) }, { "responseBody.patient._id": String(patient._id) }]
+        }, { session });
+        log.set({
+          outboxId: patient.anchor.outboxId,
+          versionsShredded: versions.modifiedCount,
+          allocationsShredded: allocations.modifiedCount,
+          responsesDeleted: responses.deletedCount
+        });
+        await log.save({ session });
       }
-    );
+    });
+
+    res.json({ erasure: log, anchor: patient.anchor, patient });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to erase patient" });
+  }
+});
+
+// Erasures carried out, newest first
+app.get("/erasures", requireRole("auditor"), async (req, res) => {
+  try {
+    const erasures = await ErasureLog.find().sort({ erasedAt: -1 }).limit(500).lean();
+    res.json({ count: erasures.length, erasures });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to load erasures" });
+  }
+});
+
+app.put("/patients/:id", requireRole("transplant-center"), async (req, res) => {
+  try {
+    await amendRecord("patient", Patient, req, res);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to amend patient" });
+  }
+});
+
+app.put("/organs/:id", requireRole("procurement-coordinator"), async (req, res) => {
+  try {
+    await amendRecord("organ", Organ, req, res);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to amend organ" });
+  }
+});
+
+// Return the verified version chain of a record, plus whether the live
+// record still matches the latest anchored version. Callers who may not read
+// the record's sensitive fields get the chain without them.
+async function recordHistory(recordType, Model, req, res) {
+  const record = await Model.findById(req.params.id).select("+salt");
+  if (!record) return res.status(404).json({ error: `${Model.modelName} not found` });
+  if (record.erasedAt) return res.status(410).json({ error: `${Model.modelName} has been erased` });
+
+  // Read-only: versions are stored when a record is created, amended or
+  // migrated. Records created before versioning have no stored history until
+  // then.
+  const currentHash = computeRecordHash(recordType, record);
+  const history = await buildHistory(recordType, record._id, ledgerTopics.query());
+  const latest = history.versions[history.versions.length - 1];
+  if (!canReadFields(req.principal, recordType)) {
+    for (const version of history.versions) version.fields = null;
+  }
+
+  res.json({
+    record: recordType,
+    id: record._id,
+    currentHash,
+    currentMatchesLatest: Boolean(latest) && latest.hash === currentHash,
+    ...history
   });
 }
 
+app.get("/patients/:id/history", async (req, res) => {
+  try {
+    await recordHistory("patient", Patient, req, res);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to load patient history" });
+  }
+});
+
+app.get("/organs/:id/history", async (req, res) => {
+  try {
+    await recordHistory("organ", Organ, req, res);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to load organ history" });
+  }
+});
+
+
+// Self-contained proof bundle for a record, checkable with verifier/cli.js.
+// It holds the record's fields and salt, so only their readers get one.
+async function recordReceipt(recordType, Model, req, res) {
+  if (!canReadFields(req.principal, recordType)) {
+    return res.status(403).json({ error: `Not allowed to read ${recordType} fields` });
+  }
 
+  const record = await Model.findById(req.params.id).select("+salt");
+  if (!record) return res.status(404).json({ error: `${Model.modelName} not found` });
+  if (record.erasedAt) return res.status(410).json({ error: `${Model.modelName} has been erased` });
 
-app.get("/verify", async (req, res) => {
+  const receipt = await buildReceipt(recordType, record, ledgerTopics.query());
+  if (!receipt) {
+    return res.status(409).json({ error: `${Model.modelName} does not match an anchored hash` });
+  }
+  res.json(receipt);
+}
+
+app.get("/patients/:id/receipt", async (req, res) => {
   try {
-    const hederaLogs = await getHederaHashes();
-    const hederaHashes = new Set(hederaLogs.map(l => l.hash));
-    const results = [];
+    await recordReceipt("patient", Patient, req, res);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to build patient receipt" });
+  }
+});
 
-    const patients = await Patient.find();
-    for (const p of patients) {
-      const computed = hashData({
-        name: p.name,
-        bloodType: p.bloodType,
-        age: p.age
-      });
-      results.push({
-        record: "patient",
-        id: p._id,
-        valid: hederaHashes.has(computed),
-        computedHash: computed
-      });
-    }
+app.get("/organs/:id/receipt", async (req, res) => {
+  try {
+    await recordReceipt("organ", Organ, req, res);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to build organ receipt" });
+  }
+});
 
-    const organs = await Organ.find();
-    for (const o of organs) {
-      const computed = hashData({
-        type: o.type,
-        bloodType: o.bloodType,
-        donorId: o.donorId
-      });
-      results.push({
-        record: "organ",
-        id: o._id,
-        valid: hederaHashes.has(computed),
-        computedHash: computed
-      });
-    }
+// Rank active patients waiting for an organ and anchor the decision hash
+app.post("/organs/:id/matches", requireRole("procurement-coordinator"), async (req, res) => {
+  try {
+    const organ = await Organ.findById(req.params.id);
+    if (!organ) return res.status(404).json({ error: "Organ not found" });
+    if (organ.active === false) return res.status(409).json({ error: "Organ has been revoked" });
+
+    const candidates = await waitlistCandidates(organ.type);
+    const decision = buildDecision({ organ, candidates, rules: rulesFor(priorityRules, organ.type) });
+    const allocation = new Allocation({
+      organId: String(organ._id),
+      result: decision.result,
+      decisionHash: decision.decisionHash
+    });
+    allocation.set(storedInputs(decision.inputs, allocation._id));
+    await saveWithAnchor(allocation, {
+      recordType: "allocation",
+      hashScheme: CURRENT_HASH_SCHEME,
+      hash: decision.decisionHash,
+      principal: req.principal
+    });
 
-    res.json(results);
+    res.status(201).json({
+      allocationId: allocation._id,
+      organId: organ._id,
+      decisionHash: decision.decisionHash,
+      anchor: allocation.anchor,
+      ...decision.result
+    });
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: "Verification failed" });
+    res.status(500).json({ error: "Failed to match organ" });
   }
 });
 
-app.post("/verify", async (req, res) => {
+// Copy of obj without the sensitive fields of recordType
+function withholdFields(obj, recordType) {
+  const copy = { ...obj };
+  for (const field of ENCRYPTED_FIELDS[recordType]) delete copy[field];
+  return copy;
+}
+
+// Allocation inputs copy the organ's and the candidates' sensitive fields;
+// they are left out for callers who may not read them
+function allocationInputsFor(inputs, principal) {
+  const withheld = [];
+  let { organ, candidates } = inputs;
+  if (!canReadFields(principal, "organ")) {
+    organ = withholdFields(organ, "organ");
+    withheld.push("organ");
+  }
+  if (!canReadFields(principal, "patient")) {
+    candidates = candidates.map(c => withholdFields(c, "patient"));
+    withheld.push("patient");
+  }
+  return { inputs: { ...inputs, organ, candidates }, withheld };
+}
+
+// Re-check a stored allocation decision against its anchored hash. Once a
+// candidate has been erased the hash cannot be recomputed, and only the
+// stored hash is checked against the ledger.
+app.get("/allocations/:id", async (req, res) => {
   try {
-    const { type, id } = req.body;
-    let record, computed;
+    const { encrypted, sensitiveInputs, ...allocation } = await Allocation.findById(req.params.id).lean() || {};
+    if (!allocation._id) return res.status(404).json({ error: "Allocation not found" });
 
-    if (type === "patient") {
-      record = await Patient.findById(id);
-      if (!record) return res.status(404).json({ error: "Patient not found" });
-      computed = hashData({
-        name: record.name,
-        bloodType: record.bloodType,
-        age: record.age
-      });
-    } else if (type === "organ") {
-      record = await Organ.findById(id);
-      if (!record) return res.status(404).json({ error: "Organ not found" });
-      computed = hashData({
-        type: record.type,
-        bloodType: record.bloodType,
-        donorId: record.donorId
-      });
-    } else {
-      return res.status(400).json({ error: "Invalid type specified" });
+    const full = loadInputs({ ...allocation, encrypted, sensitiveInputs });
+    const erased = allocation.erasedPatients && allocation.erasedPatients.length > 0;
+    const computed = erased ? null : hashDecision({ inputs: full, result: allocation.result });
+    const { inputs, withheld } = allocationInputsFor(full, req.principal);
+
+    res.json({
+      ...allocation,
+      inputs,
+      withheldRecordTypes: withheld,
+      computedHash: computed,
+      hashMatches: erased ? null : computed === allocation.decisionHash,
+      anchored: await isAnchored("allocation", allocation._id, computed || allocation.decisionHash)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to load allocation" });
+  }
+});
+
+
+// Waiting list
+
+// List a patient for an organ type and anchor the new entry
+async function listOnWaitlist(patient, organType, urgency, principal) {
+  const entry = new WaitlistEntry({
+    patientId: String(patient._id),
+    organType,
+    urgency: urgency || undefined,
+    hashScheme: CURRENT_HASH_SCHEME,
+    salt: generateSalt()
+  });
+  await entry.validate();
+
+  const hash = computeRecordHash("waitlist", entry);
+  await saveWithAnchor(entry, {
+    recordType: "waitlist",
+    hashScheme: CURRENT_HASH_SCHEME,
+    hash,
+    principal
+  }, { version: true });
+
+  return { entry, hash };
+}
+
+// Apply a status/urgency change as a new anchored version of the entry.
+// Client-driven changes check the current version is anchored (or queued)
+// first.
+async function changeWaitlistEntry(entry, changes, principal) {
+  const previousHash = computeRecordHash("waitlist", entry);
+  entry.set({
+    ...changes,
+    statusChangedAt: new Date(),
+    hashScheme: CURRENT_HASH_SCHEME,
+    salt: generateSalt(),
+    version: (entry.version || 1) + 1,
+    previousHash
+  });
+  await entry.validate();
+
+  const hash = computeRecordHash("waitlist", entry);
+  await saveWithAnchor(entry, {
+    recordType: "waitlist",
+    action: "update",
+    hashScheme: CURRENT_HASH_SCHEME,
+    hash,
+    previousHash,
+    principal
+  }, { version: true });
+
+  return { entry, hash, previousHash };
+}
+
+async function waitlistCandidates(organType) {
+  const entries = await WaitlistEntry.find({
+    organType: String(organType).toLowerCase(),
+    status: "active"
+  }).lean();
+  const patients = (await Patient.find({ _id: { $in: entries.map(e => e.patientId) } }).lean())
+    .map(p => decryptLean(p, ENCRYPTED_FIELDS.patient));
+  return toCandidates(entries, new Map(patients.map(p => [String(p._id), p])));
+}
+
+app.post("/waitlist", requireRole("transplant-center"), async (req, res) => {
+  try {
+    const { patientId, organType, urgency } = req.body;
+    const errors = [];
+    if (!patientId) errors.push({ field: "patientId", message: "patientId is required" });
+    if (!organType) {
+      errors.push({ field: "organType", message: "organType is required" });
+    } else if (!ORGAN_TYPES.includes(String(organType).toLowerCase())) {
+      errors.push({ field: "organType", message: `organType must be one of ${ORGAN_TYPES.join(", ")}` });
+    }
+    if (urgency && !URGENCY_LEVELS.includes(urgency)) {
+      errors.push({ field: "urgency", message: `urgency must be one of ${URGENCY_LEVELS.join(", ")}` });
     }
+    if (errors.length) return res.status(400).json(invalidBody("waitlist entry", errors));
 
-    const hederaLogs = await getHederaHashes();
-    const valid = hederaLogs.some(l => l.hash === computed);
+    const patient = await Patient.findById(patientId);
+    if (!patient) return res.status(404).json({ error: "Patient not found" });
+    if (patient.active === false) return res.status(409).json({ error: "Patient has been revoked" });
 
-    res.json({
-      record: type,
-      id: record._id,
-      valid,
-      computedHash: computed
+    const existing = await WaitlistEntry.exists({
+      patientId: String(patient._id),
+      organType: String(organType).toLowerCase(),
+      status: { $ne: "delisted" }
     });
+    if (existing) return res.status(409).json({ error: "Patient is already listed for this organ" });
+
+    const listed = await listOnWaitlist(patient, organType, urgency, req.principal);
+    res.status(201).json({ hash: listed.hash, anchor: listed.entry.anchor, entry: listed.entry });
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: "Verification failed" });
+    res.status(500).json({ error: "Failed to list patient" });
+  }
+});
+
+// Change status and/or urgency of a listing. Delisting is final; a patient
+// who returns is listed again with a new entry.
+async function updateWaitlistEntry(req, res, changes) {
+  const errors = [];
+  if (changes.status && !WAITLIST_STATUSES.includes(changes.status)) {
+    errors.push({ field: "status", message: `status must be one of ${WAITLIST_STATUSES.join(", ")}` });
+  }
+  if (changes.urgency && !URGENCY_LEVELS.includes(changes.urgency)) {
+    errors.push({ field: "urgency", message: `urgency must be one of ${URGENCY_LEVELS.join(", ")}` });
+  }
+  if (errors.length) return res.status(400).json(invalidBody("waitlist change", errors));
+
+  const entry = await WaitlistEntry.findById(req.params.id).select("+salt");
+  if (!entry) return res.status(404).json({ error: "Waitlist entry not found" });
+  if (entry.status === "delisted") {
+    return res.status(409).json({ error: "Waitlist entry has been delisted" });
+  }
+
+  const currentHash = computeRecordHash("waitlist", entry);
+  if (!(await isAnchoredOrPending("waitlist", entry._id, currentHash))) {
+    return res.status(409).json({
+      error: "Waitlist entry does not match its anchored hash and cannot be changed",
+      computedHash: currentHash
+    });
+  }
+
+  const changed = await changeWaitlistEntry(entry, changes, req.principal);
+  res.json({
+    hash: changed.hash,
+    previousHash: changed.previousHash,
+    anchor: changed.entry.anchor,
+    entry: changed.entry
+  });
+}
+
+app.patch("/waitlist/:id", requireRole("transplant-center"), async (req, res) => {
+  try {
+    const { status, urgency, reason } = req.body;
+    const changes = {};
+    if (status) changes.status = status;
+    if (urgency) changes.urgency = urgency;
+    if (reason) changes.statusReason = reason;
+    if (!changes.status && !changes.urgency) {
+      return res.status(400).json({ error: "Nothing to change: give a status or urgency" });
+    }
+    await updateWaitlistEntry(req, res, changes);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to update waitlist entry" });
+  }
+});
+
+app.post("/waitlist/:id/delist", requireRole("transplant-center"), async (req, res) => {
+  try {
+    await updateWaitlistEntry(req, res, { status: "delisted", statusReason: req.body.reason });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to delist waitlist entry" });
   }
 });
 
+app.get("/waitlist/entries/:id/history", async (req, res) => {
+  try {
+    await recordHistory("waitlist", WaitlistEntry, req, res);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to load waitlist history" });
+  }
+});
 
-// Optional: Create new topic if needed
-app.get("/create-topic", async (req, res) => {
+// Ordered queue of active listings for one organ type. Patients' sensitive
+// fields are left out for callers who may not read them.
+app.get("/waitlist/:organType", async (req, res) => {
   try {
-    const tx = await new TopicCreateTransaction().execute(client);
-    const receipt = await tx.getReceipt(client);
-    res.json({ topicId: receipt.topicId.toString() });
+    const organType = req.params.organType.toLowerCase();
+    const candidates = await waitlistCandidates(organType);
+    let queue = buildQueue(candidates, rulesFor(priorityRules, organType));
+    if (!canReadFields(req.principal, "patient")) queue = queue.map(entry => withholdFields(entry, "patient"));
+    res.json({ organType, count: queue.length, queue });
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: "Failed to create topic" });
+    res.status(500).json({ error: "Failed to load waitlist" });
   }
 });
 
-// Helper function to parse topic messages
-function parseTopicMessage(msg) {
+
+
+// Read anchored hashes of every registered topic from the local mirror index
+// (see ledger/sync.js), decoded from the message contents
+async function getLedgerHashes() {
+  const entries = await LedgerMessage.find(
+    { topicId: ledgerTopics.query() },
+    { _id: 0, topicId: 1, contents: 1, timestamp: 1, sequenceNumber: 1, transactionId: 1 }
+  ).lean();
+  return entries.map(decodeEntry).filter(entry => entry && entry.hash);
+}
+
+async function getTombstones(recordType, recordId, action = "revoke") {
+  const entries = await LedgerMessage.find({
+    topicId: ledgerTopics.query(),
+    type: recordType,
+    recordId: String(recordId),
+    action
+  }).sort({ consensusKey: 1 }).lean();
+  return entries.map(decodeEntry)
+    .filter(e => e && e.type === recordType && e.recordId === String(recordId) && e.action === action);
+}
+
+// Erased records can no longer be hashed. What is left to check is that the
+// erasure was anchored with a valid server signature.
+async function erasureResult(recordType, record) {
+  const tombstones = await getTombstones(recordType, record._id, "erase");
+  const erasure = checkErasure(record, tombstones, await loadServerKeys(tombstones, signer));
   return {
-    timestamp: msg.consensusTimestamp.toDate().toISOString(),
-    sequenceNumber: msg.sequenceNumber.toString(),
-    message: msg.contents.toString('utf8'),
-    runningHash: msg.runningHash.toString('hex'),
-    transactionId: msg.initialTransactionId?.toString() || null,
-    chunks: msg.chunks?.map(chunk => ({
-      contents: chunk.contents.toString('utf8'),
-      sequenceNumber: chunk.sequenceNumber.toString(),
-      runningHash: chunk.runningHash.toString('hex')
-    }))
+    record: recordType,
+    id: record._id,
+    status: "erased",
+    diagnosis: "erased",
+    valid: erasure.tombstoneAnchored && erasure.signatureValid,
+    computedHash: null,
+    erasure
   };
 }
 
-app.get("/logs", async (req, res) => {
-  try {
-    const messages = [];
-    const seenSequenceNumbers = new Set();
-    const query = new TopicMessageQuery()
-      .setTopicId(TOPIC_ID)
-      .setStartTime(0);
+// Why a record's current hash is not anchored (see records/diagnosis.js). A
+// record whose anchor is still queued is unanchored, not modified.
+async function diagnoseMismatch(recordType, record, computedHash) {
+  const recordId = String(record._id);
+  if (await OutboxEntry.exists({ recordType, recordId, hash: computedHash, status: "pending" })) {
+    return { diagnosis: "unanchored", pending: true };
+  }
 
-    // Enhanced message handling
-    const handleMessage = (msg) => {
-      const sequenceNumber = msg.sequenceNumber.toString();
-      
-      if (seenSequenceNumbers.has(sequenceNumber)) {
-        console.log(`Skipping duplicate message: ${sequenceNumber}`);
-        return;
-      }
-      
-      seenSequenceNumbers.add(sequenceNumber);
-      
-      try {
-        const parsed = parseTopicMessage(msg);
-        console.log("Decoded message:", parsed.message);
-        messages.push(parsed);
-      } catch (parseError) {
-        console.error("Error parsing message:", parseError);
-      }
+  const versions = await RecordVersion.find({ recordType, recordId })
+    .select("+salt")
+    .sort({ version: -1 })
+    .lean();
+  for (const doc of versions) {
+    const snapshot = decryptLean(doc, ENCRYPTED_FIELDS.version);
+    if (!snapshot.fields || !(await isAnchored(recordType, record._id, snapshot.hash))) continue;
+    return {
+      diagnosis: "modified",
+      anchoredVersion: snapshot.version,
+      anchoredHash: snapshot.hash,
+      changedFields: changedFields(recordType, record, snapshot)
     };
+  }
 
-    // Subscribe with enhanced error handling
-    await new Promise((resolve, reject) => {
-      let subscription;
-      let timeout;
-      
-      const cleanup = () => {
-        if (subscription) subscription.unsubscribe();
-        if (timeout) clearTimeout(timeout);
-      };
-
-      // Handle both success and error cases
-      const onComplete = () => {
-        cleanup();
-        resolve();
-      };
-
-      const onError = (err) => {
-        cleanup();
-        reject(err);
-      };
-
-      timeout = setTimeout(() => {
-        console.log("Subscription timeout reached");
-        onComplete();
-      }, 10000); // Increased timeout to 10 seconds
-
-      subscription = query.subscribe(
-        client,
-        (msg) => {
-          console.log("Message received in success callback");
-          handleMessage(msg);
-        },
-        (msgOrError) => {
-          if (msgOrError?.contents) {
-            console.log("Message received in error callback");
-            handleMessage(msgOrError);
-          } else {
-            console.error("Subscription error:", msgOrError);
-            onError(msgOrError || new Error("Unknown subscription error"));
-          }
-        },
-        () => {
-          console.log("Subscription completed");
-          onComplete();
-        }
-      );
-    });
-
-    // Sort messages by sequence number
-    messages.sort((a, b) => 
-      parseInt(a.sequenceNumber) - parseInt(b.sequenceNumber)
-    );
+  // Anchored before versions were stored, so there is nothing to compare with
+  const onLedger = await LedgerMessage.exists({
+    topicId: ledgerTopics.query(),
+    type: recordType,
+    recordId,
+    action: { $in: ["create", "update"] }
+  });
+  if (onLedger) return { diagnosis: "modified", anchoredVersion: null, anchoredHash: null, changedFields: null };
 
-    res.json({
-      success: true,
-      count: messages.length,
-      messages: messages
-    });
+  return {
+    diagnosis: "unanchored",
+    pending: Boolean(await OutboxEntry.exists({ recordType, recordId, status: "pending" }))
+  };
+}
 
-  } catch (error) {
-    console.error("Error in /logs endpoint:", error);
-    res.status(500).json({ 
-      success: false,
-      error: "Failed to fetch logs",
-      details: error.message 
+// Verification result for one record. anchorEntry is the topic message that
+// anchors the record directly, if any; otherwise the record is checked
+// against its Merkle batch proof. The anchoring envelope's institution
+// signature must hold up too. Revoked records report their tombstone
+// instead of a plain valid/invalid. Every result carries a diagnosis (see
+// records/diagnosis.js). The institution that created a record failing
+// verification is notified once per failing hash, unless its anchor is
+// still pending.
+async function verificationResult(recordType, record, computedHash, anchorEntry) {
+  let valid = Boolean(anchorEntry);
+  let merkle;
+  let anchored = anchorEntry ? { contents: anchorEntry.contents, at: anchorEntry.timestamp } : null;
+  if (!anchorEntry) {
+    merkle = await findMerkleAnchor({
+      topicId: ledgerTopics.query(),
+      recordType,
+      recordId: record._id,
+      hash: computedHash
     });
+    valid = Boolean(merkle && merkle.valid);
+    if (valid) {
+      anchored = { contents: merkle.message, at: new Date(toISOString(merkle.consensusTimestamp)) };
+    }
   }
+
+  const result = {
+    record: recordType,
+    id: record._id,
+    status: valid ? "valid" : "invalid",
+    valid,
+    computedHash
+  };
+
+  if (merkle) {
+    result.merkle = {
+      batchId: merkle.batchId,
+      root: merkle.root,
+      leafIndex: merkle.leafIndex,
+      proof: merkle.proof,
+      proofValid: merkle.proofValid,
+      rootAnchored: merkle.rootAnchored,
+      topicId: merkle.topicId,
+      transactionId: merkle.transactionId,
+      sequenceNumber: merkle.sequenceNumber
+    };
+  }
+
+  if (anchored) {
+    result.institutionSignature = await checkInstitutionSignature(
+      parseMessageContents(anchored.contents),
+      anchored.at ? new Date(anchored.at) : null
+    );
+    if (result.institutionSignature.valid === false) {
+      result.valid = false;
+      result.status = "invalid";
+    }
+  }
+
+  if (valid) {
+    result.diagnosis = result.valid ? "anchored" : "signature-invalid";
+  } else {
+    Object.assign(result, await diagnoseMismatch(recordType, record, computedHash));
+  }
+
+  if (record.active === false) {
+    result.status = "revoked";
+    const tombstones = await getTombstones(recordType, record._id);
+    result.revocation = checkTombstone(record, computedHash, tombstones, await loadServerKeys(tombstones, signer));
+  }
+
+  // A record whose anchor is still queued has not failed, it is just new
+  if (result.status === "invalid" && !result.pending && record.createdBy) {
+    notify("verification.failed", record.createdBy.institution, {
+      recordType,
+      recordId: String(record._id),
+      computedHash,
+      diagnosis: result.diagnosis,
+      institutionSignature: result.institutionSignature ? result.institutionSignature.status : null
+    }, { dedupeKey: `${recordType}:${record._id}:${computedHash}` });
+  }
+
+  return result;
+}
+
+
+
+// Ledger entries, direct or in a Merkle batch, about patients and organs
+// that no record in Mongo accounts for. Legacy entries carry no record ID, so
+// they count as orphans when no record has ever had their hash: not now,
+// not as a stored version, not before the salted-commitment migration and
+// not before an erasure.
+async function findOrphans(ledgerLogs, records) {
+  const knownIds = new Set(records.map(r => `${r.record}:${r.id}`));
+  const knownHashes = new Set([
+    ...records.map(r => r.computedHash),
+    ...await RecordVersion.distinct("hash", { recordType: { $in: ["patient", "organ"] } })
+  ]);
+  for (const Model of [Patient, Organ]) {
+    for (const field of ["legacyHash", "erasedHash"]) {
+      if (!Model.schema.path(field)) continue;
+      for (const hash of await Model.distinct(field, { [field]: { $ne: null } })) knownHashes.add(hash);
+    }
+  }
+
+  const orphans = [];
+  for (const entry of ledgerLogs) {
+    if (!["patient", "organ"].includes(entry.type)) continue;
+    if (entry.recordId ? knownIds.has(`${entry.type}:${entry.recordId}`) : knownHashes.has(entry.hash)) continue;
+    orphans.push({
+      record: entry.type,
+      id: entry.recordId || null,
+      action: entry.action,
+      hash: entry.hash,
+      topicId: entry.topicId,
+      sequenceNumber: entry.sequenceNumber,
+      transactionId: entry.transactionId || null
+    });
+  }
+
+  const batches = await AnchorBatch.find(
+    { status: "anchored", "leaves.recordType": { $in: ["patient", "organ"] } },
+    { "leaves.recordType": 1, "leaves.recordId": 1, "leaves.hash": 1, topicId: 1, sequenceNumber: 1, transactionId: 1 }
+  ).lean();
+  for (const batch of batches) {
+    for (const leaf of batch.leaves) {
+      if (!["patient", "organ"].includes(leaf.recordType) || knownIds.has(`${leaf.recordType}:${leaf.recordId}`)) continue;
+      orphans.push({
+        record: leaf.recordType,
+        id: leaf.recordId,
+        action: null,
+        hash: leaf.hash,
+        topicId: batch.topicId || null,
+        sequenceNumber: batch.sequenceNumber,
+        transactionId: batch.transactionId || null,
+        batchId: batch._id
+      });
+    }
+  }
+  return orphans;
+}
+
+// Verify every Patient and Organ against the ledger, and look for ledger
+// entries whose record is gone
+async function verifyAllRecords() {
+  const ledgerLogs = await getLedgerHashes();
+  const ledgerHashes = new Map();
+  for (const entry of ledgerLogs) {
+    if (!ledgerHashes.has(entry.hash)) ledgerHashes.set(entry.hash, []);
+    ledgerHashes.get(entry.hash).push(entry);
+  }
+  const inLedger = (recordType, id, hash) =>
+    (ledgerHashes.get(hash) || []).find(e => anchorsRecord(e, recordType, id, hash));
+  const results = [];
+
+  const patients = await Patient.find().select("+salt");
+  for (const p of patients) {
+    if (p.erasedAt) {
+      results.push(await erasureResult("patient", p));
+      continue;
+    }
+    const computed = computeRecordHash("patient", p);
+    results.push(await verificationResult("patient", p, computed, inLedger("patient", p._id, computed)));
+  }
+
+  const organs = await Organ.find().select("+salt");
+  for (const o of organs) {
+    const computed = computeRecordHash("organ", o);
+    results.push(await verificationResult("organ", o, computed, inLedger("organ", o._id, computed)));
+  }
+
+  const orphans = await findOrphans(ledgerLogs, results);
+  return { summary: summarizeVerification(results, orphans), records: results, orphans };
+}
+
+app.get("/verify", async (req, res) => {
+  try {
+    res.json(await verifyAllRecords());
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Verification failed" });
+  }
+});
+
+app.post("/verify", async (req, res) => {
+  try {
+    const { type, id } = req.body;
+    let record, computed;
+
+    if (type === "patient") {
+      record = await Patient.findById(id).select("+salt");
+      if (!record) return res.status(404).json({ error: "Patient not found" });
+      if (record.erasedAt) return res.json(await erasureResult("patient", record));
+      computed = computeRecordHash("patient", record);
+    } else if (type === "organ") {
+      record = await Organ.findById(id).select("+salt");
+      if (!record) return res.status(404).json({ error: "Organ not found" });
+      computed = computeRecordHash("organ", record);
+    } else {
+      return res.status(400).json({ error: "Invalid type specified" });
+    }
+
+    const entries = await LedgerMessage.find({ topicId: ledgerTopics.query(), hash: computed }).lean();
+    const anchorEntry = entries.find(e => anchorsRecord(e, type, record._id, computed));
+
+    res.json(await verificationResult(type, record, computed, anchorEntry));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Verification failed" });
+  }
+});
+
+// Re-anchor records committed under an unsalted scheme with a fresh salt.
+// The old hash stays on the topic (it cannot be removed), but it is only
+// migrated if it really was anchored, so tampered records are not laundered.
+// The salted commitment is a new version linked to the legacy one, like an
+// amendment.
+app.post("/migrations/salted-commitments", requireRole("admin"), async (req, res) => {
+  try {
+    const report = { migrated: [], skipped: [] };
+
+    for (const [recordType, Model] of [["patient", Patient], ["organ", Organ]]) {
+      const records = await Model.find({
+        $or: [{ hashScheme: { $exists: false } }, { hashScheme: { $lt: CURRENT_HASH_SCHEME } }],
+        erasedAt: null
+      }).select("+salt");
+
+      for (const record of records) {
+        if (isSaltedScheme(record.hashScheme)) continue;
+
+        const legacyHash = computeRecordHash(recordType, record);
+        if (!(await isAnchored(recordType, record._id, legacyHash))) {
+          report.skipped.push({ record: recordType, id: record._id, reason: "Legacy hash not found on ledger" });
+          continue;
+        }
+
+        // Make sure the legacy version is in the history
+        await saveVersion(recordType, record, { hash: legacyHash, previousHash: record.previousHash });
+
+        const salt = generateSalt();
+        record.set({
+          salt,
+          hashScheme: CURRENT_HASH_SCHEME,
+          legacyHash,
+          version: (record.version || 1) + 1,
+          previousHash: legacyHash
+        });
+        record.contentHash = contentFingerprint(recordType, record);
+        const hash = computeRecordHash(recordType, record);
+        await saveWithAnchor(record, {
+          recordType,
+          action: "update",
+          hashScheme: CURRENT_HASH_SCHEME,
+          hash,
+          previousHash: legacyHash,
+          principal: req.principal
+        }, { version: true });
+        report.migrated.push({ record: recordType, id: record._id, hash, legacyHash, anchor: record.anchor });
+      }
+    }
+
+    res.json(report);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Migration failed" });
+  }
+});
+
+// Topic registry (see ledger/topics.js). A topic is scoped to a record type
+// or an institution, or is the default when neither is given.
+const TOPIC_RECORD_TYPES = ["patient", "organ", "waitlist", "allocation"];
+const TOPIC_MEMO_MAX_BYTES = 100; // Hedera's limit
+
+// Body of POST /topics and POST /topics/rotate -> { errors } or topic options
+async function parseTopicBody(body) {
+  const { memo, adminKey = false, submitKey = false, recordType, institution } = body || {};
+  const errors = [];
+  if (memo !== undefined && (typeof memo !== "string" || Buffer.byteLength(memo) > TOPIC_MEMO_MAX_BYTES)) {
+    errors.push({ field: "memo", message: `memo must be a string of at most ${TOPIC_MEMO_MAX_BYTES} bytes` });
+  }
+  if (typeof adminKey !== "boolean") errors.push({ field: "adminKey", message: "adminKey must be true or false" });
+  if (typeof submitKey !== "boolean") errors.push({ field: "submitKey", message: "submitKey must be true or false" });
+  if (recordType !== undefined && institution !== undefined) {
+    errors.push({ field: "recordType", message: "A topic is scoped to a record type or an institution, not both" });
+  } else if (recordType !== undefined && !TOPIC_RECORD_TYPES.includes(recordType)) {
+    errors.push({ field: "recordType", message: `recordType must be one of ${TOPIC_RECORD_TYPES.join(", ")}` });
+  } else if (institution !== undefined && !(await Institution.exists({ institutionId: String(institution) }))) {
+    errors.push({ field: "institution", message: "institution is not registered" });
+  }
+  if (errors.length) return { errors };
+
+  const scope = {};
+  if (recordType) scope.recordType = recordType;
+  if (institution) scope.institution = String(institution);
+  return { memo, adminKey, submitKey, scope };
+}
+
+// Create a topic on the ledger with an optional memo and, when asked for,
+// the operator key as admin and/or submit key. 409 when its scope already
+// has an active topic; rotate that one instead.
+app.post("/topics", requireRole("admin"), async (req, res) => {
+  try {
+    const options = await parseTopicBody(req.body);
+    if (options.errors) return res.status(400).json(invalidBody("topic", options.errors));
+
+    const topic = await ledgerTopics.create({ ...options, principal: principalRef(req.principal) });
+    if (!topic) return res.status(409).json({ error: "Scope already has an active topic" });
+    res.status(201).json(topic);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to create topic" });
+  }
+});
+
+app.get("/topics", async (req, res) => {
+  try {
+    const filter = req.query.status ? { status: String(req.query.status) } : {};
+    const topics = await LedgerTopic.find(filter).sort({ createdAt: 1 }).lean();
+    res.json({ count: topics.length, topics });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to load topics" });
+  }
+});
+
+app.get("/topics/:topicId", async (req, res) => {
+  try {
+    const topic = await LedgerTopic.findOne({ topicId: req.params.topicId }).lean();
+    if (!topic) return res.status(404).json({ error: "Topic not found" });
+
+    const sync = ledgerTopics.sync(topic.topicId);
+    res.json({ ...topic, lastSyncedSequence: sync ? sync.lastSequenceNumber : null });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to load topic" });
+  }
+});
+
+// Replace the active topic of a scope with a new one. Both topics get a
+// server-signed "link" message naming the other, and pending anchors move to
+// the new topic. An interrupted rotation is finished by rotating again.
+app.post("/topics/rotate", requireRole("admin"), async (req, res) => {
+  try {
+    const options = await parseTopicBody(req.body);
+    if (options.errors) return res.status(400).json(invalidBody("topic", options.errors));
+
+    const rotated = await ledgerTopics.rotate({ ...options, principal: principalRef(req.principal) });
+    if (!rotated) return res.status(404).json({ error: "Scope has no active topic" });
+    res.status(201).json(rotated);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to rotate topic" });
+  }
+});
+
+// Stop anchoring on a scoped topic. Its records stay verifiable; new anchors,
+// and those still queued for it, go to the next scope up. The default topic
+// can only be rotated.
+app.post("/topics/:topicId/retire", requireRole("admin"), async (req, res) => {
+  try {
+    const topic = await ledgerTopics.retire(req.params.topicId);
+    if (!topic) return res.status(404).json({ error: "No active scoped topic with that ID" });
+    res.json(topic);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to retire topic" });
+  }
+});
+
+// Helper function to parse topic messages
+function parseTopicMessage(msg) {
+  return {
+    topicId: msg.topicId,
+    timestamp: new Date(msg.timestamp).toISOString(),
+    consensusTimestamp: msg.consensusTimestamp,
+    sequenceNumber: msg.sequenceNumber.toString(),
+    message: msg.contents,
+    runningHash: msg.runningHash,
+    chainStatus: msg.chainStatus || null,
+    transactionId: msg.transactionId || null,
+    decoded: msg.hash ? {
+      version: msg.envelopeVersion,
+      type: msg.type,
+      recordId: msg.recordId || null,
+      action: msg.action,
+      hashScheme: msg.hashScheme,
+      hash: msg.hash,
+      issuer: msg.issuer || null,
+      principal: msg.principal || null,
+      institution: msg.institution || null,
+      institutionKeyId: msg.institutionKeyId || null
+    } : null
+  };
+}
+
+// Records a /logs message can be joined to
+const LOG_RECORD_MODELS = { patient: Patient, organ: Organ, waitlist: WaitlistEntry, allocation: Allocation };
+
+// Load the Mongo record behind each message, keyed "type:id". Record types
+// whose fields the caller may not read are left out and listed as withheld.
+async function loadLogRecords(messages, principal) {
+  const ids = new Map();
+  for (const msg of messages) {
+    if (!LOG_RECORD_MODELS[msg.type] || !mongoose.isValidObjectId(msg.recordId)) continue;
+    if (!ids.has(msg.type)) ids.set(msg.type, new Set());
+    ids.get(msg.type).add(msg.recordId);
+  }
+
+  const records = new Map();
+  const withheld = [];
+  for (const [type, recordIds] of ids) {
+    if (!canReadFields(principal, type)) {
+      withheld.push(type);
+      continue;
+    }
+    for (const doc of await LOG_RECORD_MODELS[type].find({ _id: { $in: [...recordIds] } })) {
+      records.set(`${type}:${doc._id}`, doc.toJSON());
+    }
+  }
+  return { records, withheld };
+}
+
+// One page of the registered topics from the local index, filtered and paged
+// as described in ledger/logQuery.js
+app.get("/logs", async (req, res) => {
+  try {
+    const query = parseLogQuery(req.query, ledgerTopics.topicIds());
+    if (query.errors) return res.status(400).json(invalidBody("log query", query.errors));
+
+    const page = await LedgerMessage.find(query.filter).sort(query.sort).limit(query.limit + 1).lean();
+    const hasMore = page.length > query.limit;
+    if (hasMore) page.pop();
+
+    const messages = page.map(parseTopicMessage);
+    const body = {
+      success: true,
+      topicIds: typeof query.filter.topicId === "string" ? [query.filter.topicId] : ledgerTopics.topicIds(),
+      count: messages.length,
+      messages,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1].consensusTimestamp) : null
+    };
+
+    if (query.join) {
+      const { records, withheld } = await loadLogRecords(page, req.principal);
+      page.forEach((msg, i) => {
+        messages[i].record = records.get(`${msg.type}:${msg.recordId}`) || null;
+      });
+      body.withheldRecordTypes = withheld;
+    }
+
+    res.json(body);
+
+  } catch (error) {
+    console.error("Error in /logs endpoint:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Failed to fetch logs",
+      details: error.message 
+    });
+  }
+});
+
+// Live feed of new ledger messages as Server-Sent Events (see ledger/feed.js).
+// Streams one topic, ?topicId= or the default one, and takes the type and
+// institution filters of /logs; reconnecting clients resume after
+// Last-Event-ID, or after the sequence number in ?after=.
+const ledgerFeed = new LedgerFeed({ topics: ledgerTopics, format: parseTopicMessage });
+
+app.get("/logs/stream", async (req, res) => {
+  const topicId = req.query.topicId ? String(req.query.topicId) : ledgerTopics.defaultTopicId();
+  if (!ledgerTopics.has(topicId)) return res.status(404).json({ error: "Topic not found" });
+
+  const resumeFrom = req.get("Last-Event-ID") || req.query.after;
+  const after = resumeFrom === undefined ? null : Number(resumeFrom);
+  if (after !== null && (!Number.isInteger(after) || after < 0)) {
+    return res.status(400).json(invalidBody("feed request", [{
+      field: "after",
+      message: "after must be a sequence number"
+    }]));
+  }
+
+  try {
+    await ledgerFeed.connect(req, res, { topicId, filters: parseFeedFilters(req.query), after });
+  } catch (err) {
+    console.error(err);
+    if (!res.headersSent) res.status(500).json({ error: "Failed to open ledger feed" });
+  }
+});
+
+// Recompute the running-hash chain of one topic (?topicId=, the default one
+// when omitted) over the local index. Optional from/to query parameters
+// limit the check to a sequence-number range.
+app.get("/ledger/integrity", async (req, res) => {
+  try {
+    const topicId = req.query.topicId ? String(req.query.topicId) : ledgerTopics.defaultTopicId();
+    if (!ledgerTopics.has(topicId)) return res.status(404).json({ error: "Topic not found" });
+
+    const from = req.query.from ? parseInt(req.query.from, 10) : 1;
+    const to = req.query.to ? parseInt(req.query.to, 10) : null;
+    if (!Number.isInteger(from) || from < 1 || (to !== null && (!Number.isInteger(to) || to < from))) {
+      return res.status(400).json({ error: "Invalid sequence range" });
+    }
+
+    const range = { $gte: from };
+    if (to !== null) range.$lte = to;
+    const messages = await LedgerMessage.find({ topicId, sequenceNumber: range })
+      .sort({ sequenceNumber: 1 })
+      .lean();
+    const previous = from > 1
+      ? await LedgerMessage.findOne({ topicId, sequenceNumber: from - 1 }).lean()
+      : null;
+
+    const report = checkChain(messages, { previous });
+
+    // Problems already seen when the messages were first synced
+    const flaggedAtSync = await LedgerMessage.find({
+      topicId,
+      sequenceNumber: range,
+      chainStatus: { $nin: [null, "valid", "unverifiable"] }
+    }, { _id: 0, sequenceNumber: 1, chainStatus: 1 }).sort({ sequenceNumber: 1 }).lean();
+
+    const sync = ledgerTopics.sync(topicId);
+    res.json({
+      topicId,
+      lastSyncedSequence: sync ? sync.lastSequenceNumber : null,
+      checkedAt: new Date().toISOString(),
+      ...report,
+      flaggedAtSync
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to check ledger integrity" });
+  }
+});
+
+// Running-hash chains of every registered topic, counted together
+async function checkAllChains() {
+  const total = { checked: 0, valid: true, counts: {}, topics: [] };
+  for (const topicId of ledgerTopics.topicIds()) {
+    const report = checkChain(await LedgerMessage.find({ topicId }).sort({ sequenceNumber: 1 }).lean());
+    total.checked += report.checked;
+    total.valid = total.valid && report.valid;
+    for (const [status, count] of Object.entries(report.counts)) {
+      total.counts[status] = (total.counts[status] || 0) + count;
+    }
+    total.topics.push({ topicId, checked: report.checked, valid: report.valid });
+  }
+  return total;
+}
+
+// Integrity audits (see records/audits.js). AUDIT_INTERVAL_MS sets how often
+// they run (hourly by default, 0 turns scheduling off).
+const auditIntervalMs = process.env.AUDIT_INTERVAL_MS === undefined
+  ? 60 * 60 * 1000
+  : Number(process.env.AUDIT_INTERVAL_MS);
+const auditScheduler = new AuditScheduler({
+  verify: async () => (await verifyAllRecords()).records,
+  checkChain: checkAllChains,
+  intervalMs: auditIntervalMs || undefined
+});
+
+// Audit reports, newest first, without their failure lists. ?before= takes
+// the startedAt of the last report on the previous page.
+app.get("/audits", requireRole("auditor"), async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    const before = req.query.before === undefined ? null : new Date(req.query.before);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500 || (before && Number.isNaN(before.getTime()))) {
+      return res.status(400).json({ error: "Invalid limit or before" });
+    }
+
+    const filter = before ? { startedAt: { $lt: before } } : {};
+    const audits = await IntegrityAudit.find(filter, { failures: 0 })
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .lean();
+    res.json({ count: audits.length, audits });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to load audits" });
+  }
+});
+
+app.get("/audits/:id", requireRole("auditor"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Audit not found" });
+    const audit = await IntegrityAudit.findById(req.params.id).lean();
+    if (!audit) return res.status(404).json({ error: "Audit not found" });
+    res.json(audit);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to load audit" });
+  }
+});
+
+// Start an audit now. It runs in the background; poll GET /audits/:id.
+app.post("/audits", requireRole("auditor"), async (req, res) => {
+  try {
+    const audit = await auditScheduler.begin({ trigger: "manual" });
+    auditScheduler.complete(audit).catch(err => console.error("Integrity audit failed:", err));
+    res.status(202).json({ id: audit._id, status: audit.status, startedAt: audit.startedAt });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to start audit" });
+  }
+});
+
+// Anchors still queued or given up on, oldest first
+app.get("/outbox", requireRole("auditor"), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !["pending", "anchored", "failed"].includes(status)) {
+      return res.status(400).json({ error: "Invalid status" });
+    }
+    const filter = { status: status || { $in: ["pending", "failed"] } };
+    const entries = await OutboxEntry.find(filter).sort({ createdAt: 1 }).limit(500).lean();
+    res.json({ count: entries.length, entries });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to load outbox" });
+  }
+});
+
+// Queue a failed anchor again once whatever broke it has been fixed. Later
+// entries for the same record have waited behind it and follow it in order.
+app.post("/outbox/:id/retry", requireRole("admin"), async (req, res) => {
+  try {
+    const entry = await outboxWorker.retry(req.params.id);
+    if (!entry) return res.status(404).json({ error: "No failed outbox entry with that ID" });
+    res.json(entry);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to retry outbox entry" });
+  }
+});
+
+// Bring encryption at rest up to date after the master key changes: every
+// data key is re-wrapped under the active master key (the fields themselves
+// are not re-encrypted), and records stored before encryption was turned on
+// and allocation inputs are encrypted. Server-held institution private keys are sealed the same
+// way, and content fingerprints are recomputed under CONTENT_HASH_KEY.
+app.post("/encryption/rewrap", requireRole("admin"), async (req, res) => {
+  try {
+    if (!encryptionEnabled()) return res.status(409).json({ error: "No master key is configured" });
+    const report = { rewrapped: 0, encrypted: 0, failed: [] };
+
+    for (const [name, Model] of [["patient", Patient], ["organ", Organ]]) {
+      for (const { _id, encrypted } of await Model.find({ erasedAt: null }, { encrypted: 1 }).lean()) {
+        try {
+          if (encrypted) {
+            const rewrapped = rewrapDataKey(encrypted, _id);
+            if (!rewrapped) continue;
+            await Model.updateOne({ _id }, { $set: { encrypted: rewrapped } });
+            report.rewrapped++;
+          } else {
+            // Saving through the model runs the encryption hook
+            const record = await Model.findById(_id);
+            record.markModified("encrypted");
+            await record.save({ validateModifiedOnly: true });
+            report.encrypted++;
+          }
+        } catch (err) {
+          report.failed.push({ record: name, id: _id, error: err.message });
+        }
+      }
+    }
+
+    for (const { _id, encrypted, fields } of await RecordVersion.find({}, { encrypted: 1, fields: 1 }).lean()) {
+      if (!encrypted && !fields) continue; // shredded by an erasure
+      try {
+        if (encrypted) {
+          const rewrapped = rewrapDataKey(encrypted, _id);
+          if (!rewrapped) continue;
+          await RecordVersion.updateOne({ _id }, { $set: { encrypted: rewrapped } });
+          report.rewrapped++;
+        } else {
+          await RecordVersion.updateOne({ _id }, {
+            $set: { encrypted: encryptFields({ fields }, _id) },
+            $unset: { fields: 1 }
+          });
+          report.encrypted++;
+        }
+      } catch (err) {
+        report.failed.push({ record: "version", id: _id, error: err.message });
+      }
+    }
+
+    // Allocation inputs, including those stored before their sensitive
+    // values were split out
+    for (const allocation of await Allocation.find({}, { inputs: 1, encrypted: 1, sensitiveInputs: 1 }).lean()) {
+      const { _id, encrypted } = allocation;
+      try {
+        if (encrypted) {
+          const rewrapped = rewrapDataKey(encrypted, _id);
+          if (!rewrapped) continue;
+          await Allocation.updateOne({ _id }, { $set: { encrypted: rewrapped } });
+          report.rewrapped++;
+        } else {
+          const { inputs, sensitive } = splitInputs(loadInputs(allocation));
+          await Allocation.updateOne({ _id }, {
+            $set: { inputs, encrypted: encryptFields(sensitive, _id) },
+            $unset: { sensitiveInputs: 1 }
+          });
+          report.encrypted++;
+        }
+      } catch (err) {
+        report.failed.push({ record: "allocation", id: _id, error: err.message });
+      }
+    }
+
+    // Content fingerprints made before they were keyed (or under another key)
+    report.fingerprinted = 0;
+    for (const [name, Model] of [["patient", Patient], ["organ", Organ]]) {
+      for (const record of await Model.find({ erasedAt: null }).select("+contentHash")) {
+        try {
+          const contentHash = contentFingerprint(name, record);
+          if (record.contentHash === contentHash) continue;
+          await Model.updateOne({ _id: record._id }, { $set: { contentHash } });
+          report.fingerprinted++;
+        } catch (err) {
+          report.failed.push({ record: name, id: record._id, error: err.message });
+        }
+      }
+    }
+
+    // Server-held institution keys
+    for (const institution of await Institution.find({ "keys.custody": { $ne: "institution" } }).select(WITH_PRIVATE_KEYS)) {
+      let changed = false;
+      for (const key of institution.keys) {
+        const context = keyContext(institution.institutionId, key.keyId);
+        try {
+          if (key.privateKey) {
+            key.set({ sealedPrivateKey: sealSecret(key.privateKey, context), privateKey: undefined });
+            report.encrypted++;
+            changed = true;
+          } else if (key.sealedPrivateKey) {
+            const rewrapped = rewrapSecret(key.sealedPrivateKey, context);
+            if (!rewrapped) continue;
+            key.set({ sealedPrivateKey: rewrapped });
+            report.rewrapped++;
+            changed = true;
+          }
+        } catch (err) {
+          report.failed.push({ record: "institution-key", id: `${institution.institutionId}:${key.keyId}`, error: err.message });
+        }
+      }
+      if (changed) await institution.save();
+    }
+
+    res.json(report);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to re-wrap data keys" });
+  }
+});
+
+// Webhook subscriptions. Each belongs to the caller's institution, which is
+// the one notified about its own patients and records; admins see them all
+// and may register them for any institution. Only coordinators and admins
+// may manage them, since they send record events off the server.
+function webhookScope(principal) {
+  return principal.role === "admin" ? {} : { institution: principal.institution };
+}
+
+app.post("/webhooks", requireRole("procurement-coordinator"), async (req, res) => {
+  try {
+    const { url, events, secret } = req.body;
+    const institution = req.principal.role === "admin" && req.body.institution
+      ? String(req.body.institution)
+      : req.principal.institution;
+
+    const errors = [];
+    if (!institution) errors.push({ field: "institution", message: "Webhooks belong to an institution" });
+    const urlError = url ? await webhookUrlError(String(url)) : "url is required";
+    if (urlError) errors.push({ field: "url", message: urlError });
+    if (!Array.isArray(events) || events.length === 0 || !events.every(e => WEBHOOK_EVENTS.includes(e))) {
+      errors.push({ field: "events", message: `events must list some of ${WEBHOOK_EVENTS.join(", ")}` });
+    }
+    if (secret !== undefined && (typeof secret !== "string" || secret.length < 16)) {
+      errors.push({ field: "secret", message: "secret must be at least 16 characters" });
+    }
+    if (errors.length) return res.status(400).json(invalidBody("webhook", errors));
+
+    const subscription = await WebhookSubscription.create({
+      institution,
+      url: String(url),
+      events: [...new Set(events)],
+      secret: secret || generateWebhookSecret(),
+      createdBy: principalRef(req.principal)
+    });
+
+    // The only time the secret is returned
+    res.status(201).json({ ...subscription.toJSON(), secret: subscription.secret });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to create webhook" });
+  }
+});
+
+app.get("/webhooks", requireRole("procurement-coordinator"), async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find(webhookScope(req.principal)).sort({ createdAt: 1 }).lean();
+    res.json({ count: subscriptions.length, subscriptions });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to load webhooks" });
+  }
+});
+
+// Dead letters across the caller's subscriptions, oldest first
+app.get("/webhooks/dead-letters", requireRole("procurement-coordinator"), async (req, res) => {
+  try {
+    const deliveries = await WebhookDelivery.find({ ...webhookScope(req.principal), status: "dead" })
+      .sort({ createdAt: 1 })
+      .limit(500)
+      .lean();
+    res.json({ count: deliveries.length, deliveries });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to load dead letters" });
+  }
+});
+
+app.delete("/webhooks/:id", requireRole("procurement-coordinator"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Webhook not found" });
+    const subscription = await WebhookSubscription.findOneAndUpdate(
+      { _id: req.params.id, ...webhookScope(req.principal), active: true },
+      { $set: { active: false, deactivatedAt: new Date() } },
+      { new: true }
+    );
+    if (!subscription) return res.status(404).json({ error: "Webhook not found" });
+    res.json(subscription);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to remove webhook" });
+  }
+});
+
+// Delivery log of one subscription, newest first, optionally by status
+app.get("/webhooks/:id/deliveries", requireRole("procurement-coordinator"), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !["pending", "delivered", "dead"].includes(status)) {
+      return res.status(400).json({ error: "Invalid status" });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Webhook not found" });
+    const subscription = await WebhookSubscription.exists({ _id: req.params.id, ...webhookScope(req.principal) });
+    if (!subscription) return res.status(404).json({ error: "Webhook not found" });
+
+    const filter = { subscriptionId: req.params.id };
+    if (status) filter.status = status;
+    const deliveries = await WebhookDelivery.find(filter).sort({ createdAt: -1 }).limit(500).lean();
+    res.json({ count: deliveries.length, deliveries });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to load webhook deliveries" });
+  }
+});
+
+// Send a dead letter again once the receiver has been fixed
+app.post("/webhooks/:id/deliveries/:deliveryId/retry", requireRole("procurement-coordinator"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id) || !mongoose.isValidObjectId(req.params.deliveryId)) {
+      return res.status(404).json({ error: "No dead letter with that ID" });
+    }
+    const subscription = await WebhookSubscription.exists({
+      _id: req.params.id,
+      ...webhookScope(req.principal),
+      active: true
+    });
+    const delivery = subscription
+      ? await webhookWorker.retry({ _id: req.params.deliveryId, subscriptionId: req.params.id })
+      : null;
+    if (!delivery) return res.status(404).json({ error: "No dead letter with that ID" });
+    res.json(delivery);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to retry webhook delivery" });
+  }
+});
+
+// Institutions and their signing keys (see ledger/institutions.js). Pass the
+// institution's own ed25519 publicKey (SPKI PEM) so that it signs its
+// messages itself; without one the server generates and holds a key for it.
+
+const INVALID_PUBLIC_KEY = { field: "publicKey", message: "publicKey must be an ed25519 public key in SPKI PEM" };
+
+// Private keys are loaded so that saving the key list keeps them
+const WITH_PRIVATE_KEYS = "+keys.privateKey +keys.sealedPrivateKey";
+
+app.post("/institutions", requireRole("admin"), async (req, res) => {
+  try {
+    const { institutionId, name, publicKey } = req.body;
+    const errors = [];
+    if (!institutionId) errors.push({ field: "institutionId", message: "institutionId is required" });
+    if (!name) errors.push({ field: "name", message: "name is required" });
+    const key = publicKey === undefined ? generateInstitutionKey(institutionId) : importInstitutionKey(publicKey);
+    if (!key) errors.push(INVALID_PUBLIC_KEY);
+    if (errors.length) return res.status(400).json(invalidBody("institution", errors));
+
+    if (await Institution.exists({ institutionId })) {
+      return res.status(409).json({ error: "Institution already registered" });
+    }
+    const institution = await Institution.create({ institutionId, name, keys: [key] });
+    res.status(201).json(institution);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to register institution" });
+  }
+});
+
+// Public keys are not secret: anyone verifying the topic needs them
+app.get("/institutions/:id", async (req, res) => {
+  try {
+    const institution = await Institution.findOne({ institutionId: req.params.id });
+    if (!institution) return res.status(404).json({ error: "Institution not found" });
+    res.json(institution);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to load institution" });
+  }
+});
+
+// Replace the active key, with the institution's own publicKey or a new
+// server-held one. The old key is retired, so messages it signed before the
+// rotation still verify.
+app.post("/institutions/:id/keys/rotate", requireRole("admin"), async (req, res) => {
+  try {
+    const key = req.body.publicKey === undefined
+      ? generateInstitutionKey(req.params.id)
+      : importInstitutionKey(req.body.publicKey);
+    if (!key) return res.status(400).json(invalidBody("institution key", [INVALID_PUBLIC_KEY]));
+
+    const institution = await Institution.findOne({ institutionId: req.params.id }).select(WITH_PRIVATE_KEYS);
+    if (!institution) return res.status(404).json({ error: "Institution not found" });
+    if (institution.keys.some(k => k.keyId === key.keyId)) {
+      return res.status(409).json({ error: "Key is already registered" });
+    }
+
+    for (const existing of institution.keys) {
+      if (existing.status === "active") existing.set({ status: "retired", retiredAt: new Date() });
+    }
+    institution.keys.push(key);
+    await institution.save();
+    res.status(201).json({ keyId: key.keyId, publicKey: key.publicKey, institution });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to rotate institution key" });
+  }
+});
+
+// Revoke a compromised key: every signature made with it stops verifying.
+// Revoking the active key leaves the institution unable to sign until the
+// next rotation.
+app.post("/institutions/:id/keys/:keyId/revoke", requireRole("admin"), async (req, res) => {
+  try {
+    const institution = await Institution.findOne({ institutionId: req.params.id }).select(WITH_PRIVATE_KEYS);
+    if (!institution) return res.status(404).json({ error: "Institution not found" });
+
+    const key = institution.keys.find(k => k.keyId === req.params.keyId);
+    if (!key) return res.status(404).json({ error: "Key not found" });
+    if (key.status === "revoked") return res.status(409).json({ error: "Key is already revoked" });
+
+    key.set({ status: "revoked", revokedAt: new Date(), revocationReason: req.body.reason });
+    await institution.save();
+    res.json(institution);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to revoke institution key" });
+  }
+});
+
+// Messages waiting for the institution's own signature, oldest first. The
+// institution signs each payload with its active key and posts the base64
+// signature back; the message is then anchored.
+function canSignFor(principal, institutionId) {
+  return principal.role === "admin" || principal.institution === institutionId;
+}
+
+app.get("/institutions/:id/signing-requests", async (req, res) => {
+  if (!canSignFor(req.principal, req.params.id)) return res.status(403).json({ error: "Not allowed to sign for this institution" });
+  try {
+    const entries = await OutboxEntry.find({
+      institution: req.params.id,
+      status: "pending",
+      awaitingSignature: true
+    }).sort({ createdAt: 1 }).limit(500);
+    res.json({ count: entries.length, requests: entries.map(signingRequest) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to load signing requests" });
+  }
+});
+
+app.post("/institutions/:id/signing-requests/:outboxId", async (req, res) => {
+  if (!canSignFor(req.principal, req.params.id)) return res.status(403).json({ error: "Not allowed to sign for this institution" });
+  try {
+    if (!mongoose.isValidObjectId(req.params.outboxId)) return res.status(404).json({ error: "Signing request not found" });
+    const entry = await OutboxEntry.findOne({
+      _id: req.params.outboxId,
+      institution: req.params.id,
+      status: "pending",
+      awaitingSignature: true
+    });
+    if (!entry) return res.status(404).json({ error: "Signing request not found" });
+
+    if (!(await applyInstitutionSignature(entry, req.body.signature, signer))) {
+      return res.status(400).json(invalidBody("signature", [{
+        field: "signature",
+        message: "signature does not verify with the institution's key"
+      }]));
+    }
+    await entry.save();
+    res.json({ outboxId: entry._id, status: entry.status });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to apply signature" });
+  }
+});
+
+// Exchange an API key for a short-lived bearer token carrying the same
+// principal
+app.post("/auth/token", async (req, res) => {
+  if (!jwtSecret) return res.status(404).json({ error: "Bearer tokens are not enabled" });
+  if (req.principal.method !== "api-key") {
+    return res.status(403).json({ error: "Tokens can only be issued for an API key" });
+  }
+
+  const expiresIn = Number(process.env.JWT_TTL_SECONDS) || 3600;
+  const token = signJwt({
+    sub: req.principal.id,
+    role: req.principal.role,
+    inst: req.principal.institution || undefined
+  }, jwtSecret, { expiresInSec: expiresIn });
+  res.json({ token, tokenType: "Bearer", expiresIn });
 });
 
 const PORT = process.env.PORT || 3000;
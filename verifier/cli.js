@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+// Check a verification receipt offline:
+//   node verifier/cli.js receipt.json --dump topic.json
+//   node verifier/cli.js receipt.json --mirror https://testnet.mirrornode.hedera.com
+// Exits 0 when every check passes, 1 otherwise.
+const fs = require("fs");
+const { loadTopicDump, verifyReceipt } = require("./index");
+
+function parseArgs(argv) {
+  const args = { receipt: null, dump: null, mirror: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--dump") args.dump = argv[++i];
+    else if (argv[i] === "--mirror") args.mirror = argv[++i];
+    else args.receipt = argv[i];
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.receipt || (!args.dump && !args.mirror)) {
+    console.error("Usage: verifier/cli.js <receipt.json> (--dump <topic dump> | --mirror <mirror node URL>)");
+    process.exit(2);
+  }
+
+  const receipt = JSON.parse(fs.readFileSync(args.receipt, "utf8"));
+  const options = args.dump
+    ? { dump: loadTopicDump(fs.readFileSync(args.dump, "utf8"), receipt.anchor && receipt.anchor.topicId) }
+    : { mirrorUrl: args.mirror };
+
+  const result = await verifyReceipt(receipt, options);
+  console.log(JSON.stringify(result, null, 2));
+  process.exit(result.valid ? 0 : 1);
+}
+
+main().catch((err) => {
+  console.error("Verification failed:", err.message);
+  process.exit(2);
+});
@@ -0,0 +1,116 @@
+const { hashRecord } = require("../records/hashing");
+const { parseMessageContents, isTombstone } = require("../ledger/messages");
+const { verifyMerkleProof } = require("../ledger/merkle");
+
+// Offline verification of receipts from GET /patients/:id/receipt and
+// GET /organs/:id/receipt. Needs no database or server: the anchoring topic
+// message is looked up in an exported topic dump or on a Hedera mirror node.
+
+// Accepts the JSON from GET /logs (a page holding the anchoring message is
+// enough, e.g. ?fromSequence=N&toSequence=N), an array of messages, or the
+// JSON lines file written by the local ledger backend
+function loadTopicDump(text, defaultTopicId) {
+  let items;
+  const trimmed = text.trim();
+  if (trimmed.startsWith("[") || trimmed.startsWith("{\"success\"") || trimmed.startsWith("{\"messages\"")) {
+    const parsed = JSON.parse(trimmed);
+    items = Array.isArray(parsed) ? parsed : parsed.messages;
+  } else {
+    items = trimmed.split("\n").filter(Boolean).map(line => JSON.parse(line))
+      .filter(entry => entry.kind === undefined || entry.kind === "message");
+  }
+
+  const messages = new Map();
+  for (const item of items) {
+    const msg = {
+      topicId: item.topicId || defaultTopicId,
+      sequenceNumber: Number(item.sequenceNumber),
+      consensusTimestamp: item.consensusTimestamp,
+      runningHash: item.runningHash,
+      contents: item.contents !== undefined ? item.contents : item.message
+    };
+    messages.set(`${msg.topicId}#${msg.sequenceNumber}`, msg);
+  }
+  return messages;
+}
+
+// Hedera mirror node REST API, e.g. https://testnet.mirrornode.hedera.com
+async function fetchMirrorMessage(mirrorUrl, topicId, sequenceNumber) {
+  const url = `${mirrorUrl.replace(/\/$/, "")}/api/v1/topics/${topicId}/messages/${sequenceNumber}`;
+  const response = await fetch(url);
+  if (response.status === 404) return null;
+  if (!response.ok) throw new Error(`Mirror node returned ${response.status} for ${url}`);
+
+  const body = await response.json();
+  return {
+    topicId: body.topic_id,
+    sequenceNumber: Number(body.sequence_number),
+    consensusTimestamp: body.consensus_timestamp,
+    runningHash: Buffer.from(body.running_hash, "base64").toString("hex"),
+    contents: Buffer.from(body.message, "base64").toString("utf8")
+  };
+}
+
+function check(checks, name, ok, detail) {
+  checks.push({ name, ok: Boolean(ok), detail: detail || null });
+  return Boolean(ok);
+}
+
+// options: { dump: Map from loadTopicDump } or { mirrorUrl }
+async function verifyReceipt(receipt, options = {}) {
+  const checks = [];
+
+  const computed = hashRecord(
+    receipt.recordType,
+    { ...receipt.fields, salt: receipt.salt },
+    receipt.hashScheme
+  );
+  check(checks, "hash", computed === receipt.hash, `computed ${computed}`);
+
+  const anchor = receipt.anchor || {};
+  const anchored = parseMessageContents(anchor.message || "");
+
+  if (receipt.merkle) {
+    const leaf = parseMessageContents(receipt.merkle.leafMessage);
+    check(checks, "leaf",
+      leaf && leaf.hash === receipt.hash && leaf.type === receipt.recordType &&
+        (!leaf.recordId || leaf.recordId === receipt.recordId),
+      "batch leaf names this record and hash");
+    check(checks, "merkleProof",
+      verifyMerkleProof(receipt.merkle.leafMessage, receipt.merkle.proof, receipt.merkle.root),
+      `root ${receipt.merkle.root}`);
+    check(checks, "anchorMessage",
+      anchored && anchored.type === "batch" && anchored.hash === receipt.merkle.root &&
+        anchored.recordId === receipt.merkle.batchId,
+      "anchor message commits to the batch root");
+  } else {
+    check(checks, "anchorMessage",
+      anchored && anchored.hash === receipt.hash && !isTombstone(anchored.action) &&
+        (!anchored.recordId || anchored.recordId === receipt.recordId),
+      "anchor message commits to the record hash");
+  }
+
+  let onLedger = null;
+  if (options.dump) {
+    onLedger = options.dump.get(`${anchor.topicId}#${Number(anchor.sequenceNumber)}`) || null;
+  } else if (options.mirrorUrl) {
+    onLedger = await fetchMirrorMessage(options.mirrorUrl, anchor.topicId, anchor.sequenceNumber);
+  }
+
+  if (options.dump || options.mirrorUrl) {
+    check(checks, "ledgerMessage", onLedger, `topic ${anchor.topicId} sequence ${anchor.sequenceNumber}`);
+    if (onLedger) {
+      check(checks, "ledgerContents", onLedger.contents === anchor.message);
+      check(checks, "consensusTimestamp", onLedger.consensusTimestamp === anchor.consensusTimestamp,
+        onLedger.consensusTimestamp);
+      check(checks, "runningHash", !onLedger.runningHash || onLedger.runningHash === anchor.runningHash,
+        onLedger.runningHash);
+    }
+  } else {
+    check(checks, "ledgerMessage", false, "No topic dump or mirror node given");
+  }
+
+  return { valid: checks.every(c => c.ok), checks };
+}
+
+module.exports = { loadTopicDump, fetchMirrorMessage, verifyReceipt };
@@ -0,0 +1,120 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadTopicDump, verifyReceipt } = require("./index");
+const { encodeMessage } = require("../ledger/messages");
+const { buildMerkleTree } = require("../ledger/merkle");
+const { hashRecord, CURRENT_HASH_SCHEME } = require("../records/hashing");
+
+const TOPIC = "0.0.1001";
+const FIELDS = { type: "kidney", bloodType: "O+", donorId: "DN-1" };
+const SALT = "5a".repeat(32);
+const HASH = hashRecord("organ", { ...FIELDS, salt: SALT }, CURRENT_HASH_SCHEME);
+
+function envelope(overrides = {}) {
+  return encodeMessage({
+    recordType: "organ",
+    recordId: "o1",
+    hashScheme: CURRENT_HASH_SCHEME,
+    hash: HASH,
+    issuer: "0.0.2",
+    ...overrides
+  });
+}
+
+function ledgerMessage(sequenceNumber, contents) {
+  return {
+    topicId: TOPIC,
+    sequenceNumber,
+    consensusTimestamp: `1700000000.00000000${sequenceNumber}`,
+    runningHash: String(sequenceNumber).repeat(96),
+    contents
+  };
+}
+
+function receiptFor(msg, extra = {}) {
+  return {
+    receiptVersion: 1,
+    recordType: "organ",
+    recordId: "o1",
+    fields: FIELDS,
+    hashScheme: CURRENT_HASH_SCHEME,
+    salt: SALT,
+    hash: HASH,
+    anchor: {
+      topicId: msg.topicId,
+      sequenceNumber: msg.sequenceNumber,
+      consensusTimestamp: msg.consensusTimestamp,
+      runningHash: msg.runningHash,
+      message: msg.contents
+    },
+    ...extra
+  };
+}
+
+function dumpOf(...messages) {
+  return loadTopicDump(JSON.stringify(messages), TOPIC);
+}
+
+function failed(result) {
+  return result.checks.filter(c => !c.ok).map(c => c.name);
+}
+
+test("verifies a directly anchored record against a topic dump", async () => {
+  const msg = ledgerMessage(1, envelope());
+  const result = await verifyReceipt(receiptFor(msg), { dump: dumpOf(msg) });
+  assert.strictEqual(result.valid, true, JSON.stringify(result.checks));
+});
+
+test("verifies a record anchored in a Merkle batch", async () => {
+  const leaves = [envelope({ recordId: "o0" }), envelope(), envelope({ recordId: "o2" })];
+  const { root, proofs } = buildMerkleTree(leaves);
+  const msg = ledgerMessage(2, envelope({ recordType: "batch", recordId: "b1", hash: root }));
+  const receipt = receiptFor(msg, {
+    merkle: { batchId: "b1", root, leafIndex: 1, leafMessage: leaves[1], proof: proofs[1] }
+  });
+
+  const result = await verifyReceipt(receipt, { dump: dumpOf(msg) });
+  assert.strictEqual(result.valid, true, JSON.stringify(result.checks));
+
+  const wrongLeaf = await verifyReceipt({ ...receipt, merkle: { ...receipt.merkle, leafMessage: leaves[0] } }, { dump: dumpOf(msg) });
+  assert.deepStrictEqual(failed(wrongLeaf), ["leaf", "merkleProof"]);
+});
+
+test("fails on edited fields, a tombstone or another record's anchor", async () => {
+  const msg = ledgerMessage(1, envelope());
+  const dump = dumpOf(msg);
+
+  const edited = await verifyReceipt({ ...receiptFor(msg), fields: { ...FIELDS, bloodType: "A+" } }, { dump });
+  assert.deepStrictEqual(failed(edited), ["hash"]);
+
+  const revoked = ledgerMessage(1, envelope({ action: "revoke", reason: "expired" }));
+  assert.deepStrictEqual(failed(await verifyReceipt(receiptFor(revoked), { dump: dumpOf(revoked) })), ["anchorMessage"]);
+
+  const other = ledgerMessage(1, envelope({ recordId: "o9" }));
+  assert.deepStrictEqual(failed(await verifyReceipt(receiptFor(other), { dump: dumpOf(other) })), ["anchorMessage"]);
+});
+
+test("fails when the ledger does not hold the anchor as given", async () => {
+  const msg = ledgerMessage(1, envelope());
+  const receipt = receiptFor(msg);
+
+  assert.deepStrictEqual(failed(await verifyReceipt(receipt, { dump: dumpOf(ledgerMessage(2, msg.contents)) })), ["ledgerMessage"]);
+  assert.deepStrictEqual(failed(await verifyReceipt(receipt, { dump: dumpOf({ ...msg, contents: envelope({ hash: "00" }) }) })), ["ledgerContents"]);
+  assert.deepStrictEqual(failed(await verifyReceipt(receipt, { dump: dumpOf({ ...msg, runningHash: "ff".repeat(48) }) })), ["runningHash"]);
+  assert.deepStrictEqual(failed(await verifyReceipt(receipt)), ["ledgerMessage"]);
+});
+
+test("reads /logs pages and local ledger files", () => {
+  const msg = ledgerMessage(3, envelope());
+  const logs = loadTopicDump(JSON.stringify({
+    success: true,
+    messages: [{ sequenceNumber: "3", consensusTimestamp: msg.consensusTimestamp, runningHash: msg.runningHash, message: msg.contents }]
+  }), TOPIC);
+  assert.deepStrictEqual(logs.get(`${TOPIC}#3`), msg);
+
+  const lines = [
+    JSON.stringify({ kind: "topic", topicId: TOPIC }),
+    JSON.stringify({ kind: "message", ...msg })
+  ].join("\n");
+  assert.deepStrictEqual([...loadTopicDump(lines, "0.0.9").keys()], [`${TOPIC}#3`]);
+});